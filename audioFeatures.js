@@ -0,0 +1,151 @@
+/**
+ * @file audioFeatures.js
+ * @description
+ * Computes the features of a recording that are drawn on the performance time axis:
+ * the waveform as minimum and maximum sample per time interval, and a spectrogram
+ * with logarithmically spaced frequency bands (in dB) per time frame. Times are in
+ * seconds of the recording and chosen by the caller, e.g. one interval per screen pixel,
+ * so that the features follow any mapping of time to screen coordinates.
+ */
+class AudioFeatures {
+    //#region Features
+
+    /**
+     * Mixes the channels of a decoded recording (e.g. an AudioBuffer) down to mono
+     * @param {Object} audioBuffer {numberOfChannels, length, getChannelData(c)}
+     * @returns {Float32Array} samples
+     */
+    static mono(audioBuffer) {
+        let samples = new Float32Array(audioBuffer.length);
+        for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+            let data = audioBuffer.getChannelData(c);
+            for (let i = 0; i < samples.length; i++) {
+                samples[i] += data[i] / audioBuffer.numberOfChannels;
+            }
+        }
+        return samples;
+    } // mono()
+
+    /**
+     * Returns the minimum and maximum sample of each time interval [times[i], times[i + 1]]
+     * (0 outside the recording)
+     * @param {Float32Array} samples mono samples
+     * @param {number} sampleRate in Hz
+     * @param {Array[number]} times interval boundaries in seconds, ascending
+     * @returns {Array[Array[number]]} [min, max] per interval
+     */
+    static waveform(samples, sampleRate, times) {
+        let toIndex = (t) => Math.min(Math.max(Math.round(t * sampleRate), 0), samples.length);
+        let peaks = [];
+        for (let i = 0; i < times.length - 1; i++) {
+            let [start, end] = [toIndex(times[i]), toIndex(times[i + 1])];
+            let [min, max] = [0, 0];
+            for (let j = start; j < Math.max(end, start + 1) && j < samples.length; j++) {
+                min = Math.min(min, samples[j]);
+                max = Math.max(max, samples[j]);
+            }
+            peaks.push([min, max]);
+        }
+        return peaks;
+    } // waveform()
+
+    /**
+     * Returns a log-frequency spectrogram: for each time, the power (in dB) of a Hann-windowed
+     * frame centred at that time, in bands spaced logarithmically between minFrequency and
+     * maxFrequency (band 0 is the lowest)
+     * @param {Float32Array} samples mono samples
+     * @param {number} sampleRate in Hz
+     * @param {Array[number]} times frame centres in seconds
+     * @param {Object} options {fftSize: 4096, bands: 120, minFrequency: 27.5, maxFrequency: 8000}
+     * @returns {Array[Float32Array]} power in dB per time and band
+     */
+    static spectrogram(samples, sampleRate, times, options = {}) {
+        let fftSize = options.fftSize ?? 4096;
+        let bandCount = options.bands ?? 120;
+        let minFrequency = options.minFrequency ?? 27.5;
+        let maxFrequency = Math.min(options.maxFrequency ?? 8000, sampleRate / 2);
+        if (fftSize & (fftSize - 1)) {
+            throw new Error('AudioFeatures spectrogram(): fftSize ' + fftSize + ' is not a power of 2.');
+        }
+
+        // FFT bins covered by each band (at least the bin nearest to the band centre)
+        let binOf = (frequency) => frequency * fftSize / sampleRate;
+        let ratio = Math.pow(maxFrequency / minFrequency, 1 / bandCount);
+        let bands = [];
+        for (let b = 0; b < bandCount; b++) {
+            let low = Math.ceil(binOf(minFrequency * Math.pow(ratio, b)));
+            let high = Math.floor(binOf(minFrequency * Math.pow(ratio, b + 1)));
+            let centre = Math.round(binOf(minFrequency * Math.pow(ratio, b + 0.5)));
+            bands.push(high >= low ? [low, high] : [centre, centre]);
+        }
+
+        let window = new Float32Array(fftSize).map((v, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / fftSize));
+        let real = new Float32Array(fftSize);
+        let imag = new Float32Array(fftSize);
+        return times.map((t) => {
+            let start = Math.round(t * sampleRate) - fftSize / 2;
+            for (let i = 0; i < fftSize; i++) {
+                real[i] = (samples[start + i] ?? 0) * window[i];
+                imag[i] = 0;
+            }
+            AudioFeatures.#fft(real, imag);
+            return Float32Array.from(bands, ([low, high]) => {
+                let power = 0;
+                for (let k = low; k <= high; k++) {
+                    power = Math.max(power, real[k] * real[k] + imag[k] * imag[k]);
+                }
+                return 10 * Math.log10(power + 1e-12);
+            });
+        });
+    } // spectrogram()
+
+    //#endregion Features
+
+
+
+    //#region Helpers
+
+    /**
+     * In-place iterative radix-2 fast Fourier transform
+     * @param {Float32Array} real length a power of 2
+     * @param {Float32Array} imag same length
+     */
+    static #fft(real, imag) {
+        let n = real.length;
+        for (let i = 1, j = 0; i < n; i++) { // bit reversal permutation
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) {
+                j ^= bit;
+            }
+            j ^= bit;
+            if (i < j) {
+                [real[i], real[j]] = [real[j], real[i]];
+                [imag[i], imag[j]] = [imag[j], imag[i]];
+            }
+        }
+        for (let size = 2; size <= n; size <<= 1) {
+            let angle = -2 * Math.PI / size;
+            let [stepReal, stepImag] = [Math.cos(angle), Math.sin(angle)];
+            for (let start = 0; start < n; start += size) {
+                let [wReal, wImag] = [1, 0];
+                for (let k = 0; k < size / 2; k++) {
+                    let a = start + k;
+                    let b = a + size / 2;
+                    let tReal = real[b] * wReal - imag[b] * wImag;
+                    let tImag = real[b] * wImag + imag[b] * wReal;
+                    real[b] = real[a] - tReal;
+                    imag[b] = imag[a] - tImag;
+                    real[a] += tReal;
+                    imag[a] += tImag;
+                    [wReal, wImag] = [wReal * stepReal - wImag * stepImag, wReal * stepImag + wImag * stepReal];
+                }
+            }
+        }
+    } // fft()
+
+    //#endregion Helpers
+} // AudioFeatures class
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AudioFeatures;
+}
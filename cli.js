@@ -0,0 +1,645 @@
+#!/usr/bin/env node
+/**
+ * @file cli.js
+ * @description
+ * Command-line tool to batch-warp an MEI file against one or more alignment files
+ * (maps JSON or any other format read by MapsImporter).
+ * Renders the MEI file with Verovio, warps the SVG to every performance headlessly
+ * and writes one warped SVG per performance (and optionally the performance time panel).
+ *
+ * Requires the verovio and linkedom packages (npm install verovio linkedom).
+ *
+ * Usage: node cli.js <mei file> <maps file|directory>... [options]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ScoreWarper = require('./scoreWarper.js');
+const MapsImporter = require('./mapsImporter.js');
+
+const svgNS = 'http://www.w3.org/2000/svg';
+
+// same default Verovio options as in the GUI (see gui.js loadMEI())
+const defaultTkOptions = {
+    svgHtml5: true,
+    scale: 30,
+    breaks: 'none',
+    header: 'none',
+    footer: 'none',
+    svgAdditionalAttribute: ScoreWarper.anchorAttributes // start/end notes of spanners
+};
+
+// basic drawing coordinates of the performance time panel (as in gui.js)
+const y0basis = 110; // y of time axis
+const y1 = 70; // y of straigth lines
+const y2 = 0; // y of orange connector lines
+const yMx = 140; // mx y of performance panel
+
+const usage = `Usage: node cli.js <mei file> <maps file|directory>... [options]
+
+Options:
+  -o, --out <dir>          output directory (default: current directory)
+  -t, --options <json>     Verovio options as JSON string or JSON file
+  -f, --format <format>    format of the alignment files: maps, timemap, corresp,
+                           match, csv, anchors, sv (Sonic Visualiser) or audacity
+                           (default: detected from the content)
+  -n, --individual-notes   also warp notes inside chords
+  -e, --expand [id]        render the score expanded (unfolding repeats),
+                           optionally following the expansion with the given id
+  -r, --repeat-pass <pass> pass of repeats to warp in a not expanded score:
+                           first (default) or last
+  -c, --resolve-collisions displace notes that collide after warping
+      --per-staff          warp every staff (e.g., each hand) with its own warping function
+  -i, --interpolation <mode>
+                           interpolation of the warping function: linear (default),
+                           monotone, smoothed or tempo
+  -w, --window <n>         smoothing window in notes (default: 5)
+      --tension <t>        tension of smoothed interpolation, 0 to 1 (default: 0.5)
+      --min-confidence <c> ignore maps events with a confidence below c
+      --weighting <mode>   weight of maps events: none (default), confidence or velocity
+      --keep-order         keep the score order of warped notes despite alignment errors
+      --include-unplayed   also warp notes with velocity -1 to their event
+      --velocity <mode>    code the noteheads by performed velocity: color or size
+      --consensus [stat]   also warp to the consensus of all performances:
+                           median (default) or mean onsets
+      --tempo [unit]       also write the tempo curve as CSV file per performance:
+                           per beat (default) or bar
+      --tempo-window <n>   smoothing window of the tempo curve in beats or bars
+                           (default: 1)
+      --asynchrony         also write the chord asynchronies as CSV file per performance
+  -p, --performance        also write the performance time panel SVG
+      --validate           check the maps files against the score and write
+                           a JSON report per performance
+  -v, --verbose            print debug messages
+  -h, --help               print this help
+
+Exit codes: 0 all performances warped, 1 some performances failed, 2 invalid arguments`;
+
+/**
+ * Parses the command-line arguments
+ * @param {Array[string]} args
+ * @returns {Object} parsed arguments
+ */
+function parseArguments(args) {
+    let parsed = {
+        meiFile: '',
+        mapsFiles: [],
+        outDir: '.',
+        tkOptions: {},
+        format: null,
+        individualNotes: false,
+        expand: null,
+        repeatPass: 'first',
+        resolveCollisions: false,
+        perStaff: false,
+        interpolation: { mode: 'linear' },
+        minConfidence: null,
+        weighting: 'none',
+        keepScoreOrder: false,
+        skipUnplayed: true,
+        velocity: null,
+        consensus: null,
+        tempo: null,
+        tempoWindow: 1,
+        asynchrony: false,
+        performance: false,
+        validate: false,
+        verbose: false,
+        help: false
+    };
+    let positional = [];
+    for (let i = 0; i < args.length; i++) {
+        let arg = args[i];
+        switch (arg) {
+            case '-o':
+            case '--out':
+                parsed.outDir = args[++i];
+                break;
+            case '-t':
+            case '--options':
+                parsed.tkOptions = readJsonArgument(args[++i]);
+                break;
+            case '-f':
+            case '--format':
+                parsed.format = args[++i];
+                if (!MapsImporter.formats.includes(parsed.format)) {
+                    throw new Error('Format must be one of ' + MapsImporter.formats.join(', ') + '.');
+                }
+                break;
+            case '-n':
+            case '--individual-notes':
+                parsed.individualNotes = true;
+                break;
+            case '-e':
+            case '--expand':
+                // optional expansion id
+                parsed.expand = (i + 1 < args.length && !args[i + 1].startsWith('-')
+                    && !fs.existsSync(args[i + 1])) ? args[++i] : '';
+                break;
+            case '-r':
+            case '--repeat-pass':
+                parsed.repeatPass = args[++i];
+                if (!['first', 'last'].includes(parsed.repeatPass)) {
+                    throw new Error('Repeat pass must be first or last.');
+                }
+                break;
+            case '-c':
+            case '--resolve-collisions':
+                parsed.resolveCollisions = true;
+                break;
+            case '--per-staff':
+                parsed.perStaff = true;
+                break;
+            case '-i':
+            case '--interpolation':
+                parsed.interpolation.mode = args[++i];
+                if (!ScoreWarper.interpolationModes.includes(parsed.interpolation.mode)) {
+                    throw new Error('Interpolation must be one of ' + ScoreWarper.interpolationModes.join(', ') + '.');
+                }
+                break;
+            case '-w':
+            case '--window':
+                parsed.interpolation.window = parseInt(args[++i]);
+                if (!(parsed.interpolation.window >= 1)) {
+                    throw new Error('Window must be a positive integer.');
+                }
+                break;
+            case '--tension':
+                parsed.interpolation.tension = parseFloat(args[++i]);
+                if (!(parsed.interpolation.tension >= 0 && parsed.interpolation.tension <= 1)) {
+                    throw new Error('Tension must be a number from 0 to 1.');
+                }
+                break;
+            case '--min-confidence':
+                parsed.minConfidence = parseFloat(args[++i]);
+                if (isNaN(parsed.minConfidence)) {
+                    throw new Error('Minimal confidence must be a number.');
+                }
+                break;
+            case '--weighting':
+                parsed.weighting = args[++i];
+                if (!ScoreWarper.weightingModes.includes(parsed.weighting)) {
+                    throw new Error('Weighting must be one of ' + ScoreWarper.weightingModes.join(', ') + '.');
+                }
+                break;
+            case '--keep-order':
+                parsed.keepScoreOrder = true;
+                break;
+            case '--include-unplayed':
+                parsed.skipUnplayed = false;
+                break;
+            case '--velocity':
+                parsed.velocity = args[++i];
+                if (!ScoreWarper.velocityModes.includes(parsed.velocity)) {
+                    throw new Error('Velocity coding must be one of ' + ScoreWarper.velocityModes.join(', ') + '.');
+                }
+                break;
+            case '--consensus':
+                // optional statistic
+                parsed.consensus = (i + 1 < args.length && ScoreWarper.consensusStatistics.includes(args[i + 1]))
+                    ? args[++i] : 'median';
+                break;
+            case '--tempo':
+                // optional unit
+                parsed.tempo = (i + 1 < args.length && ScoreWarper.tempoUnits.includes(args[i + 1]))
+                    ? args[++i] : 'beat';
+                break;
+            case '--tempo-window':
+                parsed.tempoWindow = parseInt(args[++i]);
+                if (!(parsed.tempoWindow >= 1)) {
+                    throw new Error('Tempo window must be a positive integer.');
+                }
+                break;
+            case '--asynchrony':
+                parsed.asynchrony = true;
+                break;
+            case '-p':
+            case '--performance':
+                parsed.performance = true;
+                break;
+            case '--validate':
+                parsed.validate = true;
+                break;
+            case '-v':
+            case '--verbose':
+                parsed.verbose = true;
+                break;
+            case '-h':
+            case '--help':
+                parsed.help = true;
+                break;
+            default:
+                if (arg.startsWith('-')) {
+                    throw new Error('Unknown option ' + arg);
+                }
+                positional.push(arg);
+        }
+    }
+    if (!parsed.help) {
+        if (positional.length < 2) {
+            throw new Error('Please provide an MEI file and at least one maps file or directory.');
+        }
+        if (!parsed.outDir) {
+            throw new Error('Please provide an output directory.');
+        }
+    }
+    parsed.meiFile = positional[0];
+    parsed.mapsFiles = positional.slice(1).flatMap(listMapsFiles);
+    return parsed;
+} // parseArguments()
+
+/**
+ * Reads a JSON argument given either as JSON text or as a JSON file name
+ * @param {string} arg
+ * @returns {Object}
+ */
+function readJsonArgument(arg = '') {
+    let text = arg.trim().startsWith('{') ? arg : fs.readFileSync(arg, 'utf8');
+    return JSON.parse(text);
+} // readJsonArgument()
+
+/**
+ * Lists maps files: a file name is returned as it is,
+ * a directory is expanded to all alignment files inside it (see MapsImporter.fileExtensions)
+ * @param {string} fileName
+ * @returns {Array[string]}
+ */
+function listMapsFiles(fileName) {
+    if (fs.existsSync(fileName) && fs.statSync(fileName).isDirectory()) {
+        return fs.readdirSync(fileName)
+            .filter((name) => MapsImporter.fileExtensions.includes(path.extname(name).toLowerCase()))
+            .sort()
+            .map((name) => path.join(fileName, name));
+    }
+    return [fileName];
+} // listMapsFiles()
+
+/**
+ * Returns the names of the performances in the output file names: the base name of each
+ * maps file without extension or, if several maps files share it, their names with the
+ * extension (e.g. anchors_csv) and then with as many parent directories as needed to tell
+ * them apart (e.g. a_maps_json)
+ * @param {Array[string]} mapsFiles
+ * @returns {Array[string]}
+ */
+function performanceNames(mapsFiles) {
+    let parts = mapsFiles.map((mapsFile) => path.resolve(mapsFile).split(path.sep).filter((part) => part));
+    let levels = mapsFiles.map(() => 0); // path parts used per name, 0 for the base name without extension
+    let nameOf = (k) => (levels[k] === 0) ? path.basename(mapsFiles[k]).replace(/\.(json|txt|csv)$/i, '') :
+        parts[k].slice(-levels[k]).join('_').replace(/\./g, '_');
+    let names = mapsFiles.map((mapsFile, k) => nameOf(k));
+    let duplicates = () => names.map((name, k) => k).filter((k) => names.indexOf(names[k]) !== names.lastIndexOf(names[k]));
+    for (let dups = duplicates(); dups.length > 0; dups = duplicates()) {
+        if (dups.every((k) => levels[k] >= parts[k].length)) {
+            throw new Error('Maps file ' + mapsFiles[dups[0]] + ' is given more than once.');
+        }
+        dups.forEach((k) => {
+            levels[k] = Math.min(levels[k] + 1, parts[k].length);
+            names[k] = nameOf(k);
+        });
+    }
+    return names;
+} // performanceNames()
+
+/**
+ * Reads an alignment file and imports it as maps
+ * @param {string} mapsFile
+ * @param {string} format (optional) one of MapsImporter.formats, detected if empty
+ * @returns {Array[Object]} maps
+ */
+function readMaps(mapsFile, format = null) {
+    return MapsImporter.import(fs.readFileSync(mapsFile, 'utf8'), path.basename(mapsFile), format);
+} // readMaps()
+
+/**
+ * Initializes the Verovio toolkit in Node.js
+ * @returns {Promise} resolving to a toolkit instance
+ */
+function loadVerovio() {
+    const verovio = require('verovio');
+    return new Promise((resolve) => {
+        verovio.module.onRuntimeInitialized = () => {
+            resolve(new verovio.toolkit());
+        };
+    });
+} // loadVerovio()
+
+/**
+ * Warps the score SVG of one page to one performance and writes the warped SVG file(s)
+ * @param {string} svgString SVG engraved by Verovio
+ * @param {Array[Object]} maps maps of the performance (see readMaps())
+ * @param {string} fileName output file name without extension
+ * @param {Object} args parsed command-line arguments
+ * @param {Array[Object]} timemap (optional) Verovio timemap of the score, to locate beats of anchors
+ * @returns {Array[string]} names of written files
+ */
+function warpPerformance(svgString, maps, fileName, args, timemap = null) {
+    let { DOMParser } = require('linkedom');
+    let svgDocument = new DOMParser().parseFromString(svgString, 'image/svg+xml');
+    let scoreWarper = new ScoreWarper(svgDocument.documentElement, undefined, {
+        headless: true,
+        repeatPass: args.repeatPass,
+        resolveCollisions: args.resolveCollisions,
+        perStaff: args.perStaff,
+        minConfidence: args.minConfidence,
+        weighting: args.weighting,
+        keepScoreOrder: args.keepScoreOrder,
+        skipUnplayed: args.skipUnplayed,
+        timemap: timemap
+    });
+    scoreWarper.shiftPageMargin();
+    scoreWarper.maps = maps;
+    scoreWarper.warp(null, args.interpolation);
+    if (args.individualNotes) {
+        scoreWarper.warpIndividualNotes();
+    }
+    if (args.velocity) {
+        scoreWarper.codeVelocities(args.velocity);
+    }
+
+    if (args.resolveCollisions) {
+        let displaced = scoreWarper.collisionReport.filter((item) => Math.abs(item.displacement) > 0.5);
+        let maxDisplacement = Math.max(0, ...displaced.map((item) => Math.abs(item.timeDisplacement)));
+        console.log(`Displaced ${displaced.length} notes to resolve collisions (at most ${maxDisplacement.toFixed(3)} s).`);
+    }
+
+    let svgName = fileName + '.svg';
+    fs.writeFileSync(svgName, ScoreWarper.serialize(scoreWarper.svgObj));
+    let written = [svgName];
+
+    if (args.performance) {
+        if (scoreWarper.systems.length > 1) {
+            console.warn('No performance panel for ' + svgName + ': score has more than one system.');
+        } else {
+            let panel = createPerformancePanel(svgDocument, scoreWarper);
+            let panelName = fileName + '_performance.svg';
+            fs.writeFileSync(panelName, ScoreWarper.serialize(panel));
+            written.push(panelName);
+        }
+    }
+    return written;
+} // warpPerformance()
+
+/**
+ * Writes the tempo curve of a performance as CSV file (see ScoreWarper.tempoCurve()),
+ * with the meter signatures of the first page of the score
+ * @param {string} svgString SVG of the first page
+ * @param {Array[Object]} maps maps of the performance
+ * @param {string} fileName output file name without extension
+ * @param {Object} args parsed command-line arguments
+ * @param {Array[Object]} timemap Verovio timemap of the score
+ * @returns {string} name of the written file
+ */
+function writeTempoCurve(svgString, maps, fileName, args, timemap) {
+    let { DOMParser } = require('linkedom');
+    let svgDocument = new DOMParser().parseFromString(svgString, 'image/svg+xml');
+    let scoreWarper = new ScoreWarper(svgDocument.documentElement, undefined, {
+        headless: true,
+        minConfidence: args.minConfidence,
+        skipUnplayed: args.skipUnplayed,
+        timemap: timemap
+    });
+    let curve = scoreWarper.tempoCurve(maps, { unit: args.tempo, window: args.tempoWindow });
+    let csvName = fileName + '_tempo.csv';
+    fs.writeFileSync(csvName, ScoreWarper.tempoCSV(curve));
+    return csvName;
+} // writeTempoCurve()
+
+/**
+ * Writes the chord asynchronies of a performance on all pages of the score as CSV file
+ * (see ScoreWarper.chordAsynchronies())
+ * @param {Array[string]} svgStrings SVG pages of the score
+ * @param {Array[Object]} maps maps of the performance
+ * @param {string} fileName output file name without extension
+ * @param {Object} args parsed command-line arguments
+ * @returns {string} name of the written file
+ */
+function writeChordAsynchrony(svgStrings, maps, fileName, args) {
+    let { DOMParser } = require('linkedom');
+    let chords = svgStrings.flatMap((svgString) => {
+        let svgDocument = new DOMParser().parseFromString(svgString, 'image/svg+xml');
+        return new ScoreWarper(svgDocument.documentElement, undefined, {
+            headless: true,
+            repeatPass: args.repeatPass,
+            minConfidence: args.minConfidence,
+            skipUnplayed: args.skipUnplayed
+        }).chordAsynchronies(maps);
+    });
+    let csvName = fileName + '_asynchrony.csv';
+    fs.writeFileSync(csvName, ScoreWarper.chordAsynchronyCSV(chords));
+    return csvName;
+} // writeChordAsynchrony()
+
+/**
+ * Checks a maps file against all pages of the rendered score (see ScoreWarper.validateMaps()),
+ * prints a summary and writes the report as JSON file
+ * @param {Array[string]} svgStrings SVG pages of the score
+ * @param {string} mapsFile
+ * @param {string} fileName output file name without extension
+ * @param {string} format (optional) alignment file format, detected if empty
+ * @returns {string} name of the written file
+ */
+function validatePerformance(svgStrings, mapsFile, fileName, format = null) {
+    let maps = readMaps(mapsFile, format);
+    let { DOMParser } = require('linkedom');
+    let report = ScoreWarper.mergeMapsReports(svgStrings.map((svgString) => {
+        let svgDocument = new DOMParser().parseFromString(svgString, 'image/svg+xml');
+        return new ScoreWarper(svgDocument.documentElement, undefined, { headless: true }).validateMaps(maps);
+    }));
+    console.log(`${path.basename(mapsFile)}: ${report.entries} entries, ${report.scoreNotes} score notes, ` +
+        `${report.notInScore.length} ids not in score, ${report.notInMaps.length} score notes not in maps, ` +
+        `${report.duplicates.length} duplicate ids, ${report.orderViolations.length} events against score order, ` +
+        `${report.inserted.length} inserted, ${report.deleted.length} deleted notes, ` +
+        `${report.invalidOnsets.length} events without onset.`);
+    let reportName = fileName + '_maps-report.json';
+    fs.writeFileSync(reportName, JSON.stringify(report, null, 2));
+    return reportName;
+} // validatePerformance()
+
+/**
+ * Creates the performance time panel with onset ticks, connector lines and time axis,
+ * as it is shown below the warped score in the GUI
+ * @param {Document} doc
+ * @param {ScoreWarper} scoreWarper
+ * @returns {Element} the panel SVG element
+ */
+function createPerformancePanel(doc, scoreWarper) {
+    let ptObj = doc.createElementNS(svgNS, 'svg');
+    ptObj.setAttribute('xmlns', svgNS);
+    ptObj.setAttribute('width', scoreWarper.svgWidth);
+    ptObj.setAttribute('height', yMx);
+    ptObj.setAttribute('class', 'performanceTime');
+
+    let maps = scoreWarper.maps;
+    maps.forEach((item, i) => {
+        if (i >= scoreWarper.firstOnsetIdx(maps) && i <= scoreWarper.lastOnsetIdx(maps)
+            && scoreWarper.renderedIds[i].some((id) => id !== null)) {
+            let screenX = scoreWarper.time2screen(item.obs_mean_onset);
+            addLine(ptObj, screenX, screenX, y0basis, y1, 'purple'); // onset tick
+            addLine(ptObj, screenX, screenX, y1, y2, 'orange'); // connector line to warped score
+        }
+    });
+
+    // time axis
+    const g = doc.createElementNS(svgNS, 'g');
+    g.setAttribute('class', 'timeAxis');
+    ptObj.appendChild(g);
+    let tickIncr = 1; // seconds
+    let numbIncr = 10; // seconds
+    let lastTick = Math.ceil(scoreWarper.tmx / numbIncr) * numbIncr;
+    for (let t = 0; t <= lastTick; t += tickIncr) {
+        let s = scoreWarper.time2screen(t);
+        let isNumbered = Math.round(t / numbIncr) == t / numbIncr;
+        addLine(g, s, s, y0basis, y0basis + (isNumbered ? 4 : 2));
+        if (isNumbered) {
+            addText(g, t, s, y0basis + 13, 'middle');
+        }
+    }
+    addLine(g, scoreWarper.time2screen(0), scoreWarper.time2screen(lastTick), y0basis, y0basis);
+    addText(g, 'Time (s)', 1, y0basis - 4, 'left');
+    return ptObj;
+} // createPerformancePanel()
+
+function addLine(node, x1, x2, y1, y2, color = 'black', strokeWidth = 1) {
+    const line = node.ownerDocument.createElementNS(svgNS, 'line');
+    line.setAttribute('x1', x1);
+    line.setAttribute('x2', x2);
+    line.setAttribute('y1', y1);
+    line.setAttribute('y2', y2);
+    line.setAttribute('stroke-width', strokeWidth);
+    line.setAttribute('stroke-linecap', 'round');
+    line.setAttribute('stroke', color);
+    return node.appendChild(line);
+} // addLine()
+
+function addText(node, text, x, y, halign = 'middle', color = 'black') {
+    let txt = node.ownerDocument.createElementNS(svgNS, 'text');
+    txt.setAttribute('text-anchor', halign);
+    txt.setAttribute('font-family', 'Arial, Helvetica, sans-serif');
+    txt.setAttribute('font-size', 10.5);
+    txt.setAttribute('fill', color);
+    txt.setAttribute('x', x);
+    txt.setAttribute('y', y);
+    txt.appendChild(node.ownerDocument.createTextNode(text));
+    return node.appendChild(txt);
+} // addText()
+
+/**
+ * Renders the MEI file and warps it to all maps files
+ * @param {Array[string]} argv command-line arguments
+ * @returns {Promise} resolving to the exit code
+ */
+async function main(argv) {
+    let args;
+    try {
+        args = parseArguments(argv);
+    } catch (error) {
+        console.error(error.message + '\n\n' + usage);
+        return 2;
+    }
+    if (args.help) {
+        console.log(usage);
+        return 0;
+    }
+    if (!args.verbose) {
+        console.debug = () => { };
+    }
+
+    let meiText;
+    let perfNames;
+    try {
+        perfNames = performanceNames(args.mapsFiles); // unique, not to overwrite the files of another performance
+        meiText = fs.readFileSync(args.meiFile, 'utf8');
+        fs.mkdirSync(args.outDir, { recursive: true });
+    } catch (error) {
+        console.error(error.message);
+        return 2;
+    }
+
+    let tk = await loadVerovio();
+    console.log('Verovio ' + tk.getVersion() + ' loaded.');
+    let tkOptions = { ...defaultTkOptions, ...args.tkOptions };
+    if (args.expand !== null) {
+        if (args.expand && !ScoreWarper.listExpansions(meiText).includes(args.expand)) {
+            console.error('No expansion ' + args.expand + ' in ' + args.meiFile);
+            return 2;
+        }
+        tkOptions.expandAlways = true;
+        tkOptions.expand = args.expand;
+    }
+    tk.setOptions(tkOptions);
+    if (!tk.loadData(meiText)) {
+        console.error('Verovio could not load ' + args.meiFile);
+        return 2;
+    }
+    // with system and page breaks, every page is warped separately
+    let svgStrings = [];
+    for (let page = 1; page <= tk.getPageCount(); page++) {
+        svgStrings.push(tk.renderToSVG(page));
+    }
+    let timemap = tk.renderToTimemap({ includeMeasures: true });
+    let baseName = path.basename(args.meiFile).replace(/\.[^.]*$/, '');
+
+    let failed = [];
+    let mapsList = []; // maps of the warped performances, for the consensus
+    let warpPages = (maps, perfName) => {
+        svgStrings.forEach((svgString, i) => {
+            let fileName = path.join(args.outDir, baseName + '_' + perfName);
+            if (svgStrings.length > 1) {
+                fileName += '_p' + (i + 1);
+            }
+            let written = warpPerformance(svgString, maps, fileName, args, timemap);
+            written.forEach((name) => console.log('Written ' + name));
+        });
+        if (args.tempo) {
+            let fileName = path.join(args.outDir, baseName + '_' + perfName);
+            console.log('Written ' + writeTempoCurve(svgStrings[0], maps, fileName, args, timemap));
+        }
+        if (args.asynchrony) {
+            let fileName = path.join(args.outDir, baseName + '_' + perfName);
+            console.log('Written ' + writeChordAsynchrony(svgStrings, maps, fileName, args));
+        }
+    };
+    args.mapsFiles.forEach((mapsFile, k) => {
+        let perfName = perfNames[k];
+        try {
+            if (args.validate) {
+                let reportName = validatePerformance(svgStrings, mapsFile, path.join(args.outDir, baseName + '_' + perfName), args.format);
+                console.log('Written ' + reportName);
+            }
+            let maps = readMaps(mapsFile, args.format);
+            warpPages(maps, perfName);
+            mapsList.push(maps);
+        } catch (error) {
+            console.error('Failed to warp ' + mapsFile + ': ' + error.message);
+            failed.push(mapsFile);
+        }
+    });
+
+    // consensus of all warped performances
+    if (args.consensus) {
+        try {
+            warpPages(ScoreWarper.consensusMaps(mapsList, { statistic: args.consensus }), 'consensus');
+        } catch (error) {
+            console.error('Failed to warp the consensus: ' + error.message);
+            failed.push('consensus');
+        }
+    }
+
+    // summary
+    console.log(`Warped ${mapsList.length} of ${args.mapsFiles.length} performances` +
+        (args.consensus && !failed.includes('consensus') ? ' and their consensus.' : '.'));
+    if (failed.length > 0) {
+        console.log('Failed performances:\n  ' + failed.join('\n  '));
+        return 1;
+    }
+    return 0;
+} // main()
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then((code) => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { main, parseArguments, createPerformancePanel };
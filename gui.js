@@ -11,6 +11,7 @@ const svgNS = "http://www.w3.org/2000/svg";
 
 let meiFileName = '';
 let mapsFileName = '';
+let meiText = ''; // MEI text of the loaded file, re-loaded to Verovio when repeats are (un)expanded
 
 // Verovio toolkit variables
 let tk; // toolkit instance
@@ -19,9 +20,15 @@ let tkOptions = {
     svgHtml5: true,
 };
 
-let svgString; // raw SVG text string of engraved MEI file
-let scoreWarper; // score warper object
-let warped = false; // whether or not the score has been warped
+let svgStrings = []; // raw SVG text strings of engraved MEI file, one per page
+let scoreTimemap = []; // Verovio timemap of the rendered score, to locate beats of anchors
+let scoreWarpers = []; // score warper objects, one per page
+let scoreWarper; // score warper object of the first page
+let warpAnimation = null; // animation frame request of the warp transition, if playing
+let performanceMidi = null; // MidiFile of the performance, drawn as piano roll
+let midiAlignedIds = []; // aligned score note ids of the performance MIDI notes (see alignMidiNotes())
+let player = null; // PerformancePlayer of the audio file or the performance MIDI, created on first use
+let comparisonMaps = []; // {name, maps} of the performances selected for comparison
 let pieceSel; // selection element for pieces
 let perfSel; // selection element for performances
 
@@ -54,12 +61,17 @@ document.addEventListener("DOMContentLoaded", () => {
         for (let y in demoFiles[defaultPiece].performances) {
             perfSel.options[perfSel.options.length] = new Option(y, y);
         }
+        updateComparisonOptions(defaultPiece);
     }
 
     // add keyboardListeners and update notation panel
     document.addEventListener('keyup', keyboardListener);
     document.getElementById('date').innerHTML += dateString;
 
+    // click into score or performance panel to seek playback
+    document.getElementById('notation').addEventListener('click', seekInScore);
+    document.getElementById('performanceTime').addEventListener('click', seekInPerformance);
+
     document.getElementById("notation").innerHTML = "<b>Loading Verovio...</b>";
     Module.onRuntimeInitialized = async _ => {
         tk = new verovio.toolkit();
@@ -83,24 +95,27 @@ function loadMEI(reload = true) {
     if (!meiFileName) {
         return;
     }
-    warped = false;
+    stopWarpAnimation();
     clearAllLines();
     document.getElementById("performanceTime").innerHTML = "";
+    document.getElementById("comparisonPanel").innerHTML = "";
+    document.getElementById("mapsReport").innerHTML = "";
     document.getElementById("notation").innerHTML = '<b>Loading ' + meiFileName + '...</b>';
     console.log('Loading ' + meiFileName + '...');
     if (reload) {
         fetch(meiFileName)
             .then((response) => response.text())
-            .then((meiText) => {
+            .then((text) => {
                 console.log("MEI loaded."); // , meiText);
+                meiText = text;
                 tk.setOptions({
                     scale: 30,
-                    breaks: "none",
                     header: "none",
-                    footer: "none"
+                    footer: "none",
+                    svgAdditionalAttribute: ScoreWarper.anchorAttributes // start/end notes of spanners
                 });
-                svgString = tk.renderData(meiText, {});
-                console.log("SVG rendered.");
+                updateRepeatsOptions();
+                renderPages();
 
                 // when SVG is loaded, finalize loading
                 updateGUI();
@@ -110,6 +125,95 @@ function loadMEI(reload = true) {
     }
 } // loadMEI()
 
+/**
+ * Renders all pages of the loaded MEI file with the layout selected in the breaks dropdown:
+ * a single endless line (breaks: 'none') or systems on one or more pages.
+ * Repeats are rendered as notated or expanded, as selected in the repeats dropdown.
+ */
+function renderPages() {
+    let breaks = document.getElementById('breaks')?.value || 'none';
+    let repeats = document.getElementById('repeats')?.value || 'first';
+    let expand = repeats.startsWith('expand');
+    tk.setOptions({
+        breaks: breaks,
+        adjustPageHeight: true,
+        spacingSystem: (breaks === 'none') ? 12 : 48, // leave space for time axes and curves below systems
+        expandAlways: expand, // with no expansion id, Verovio expands the repeat marks
+        expand: expand ? repeats.replace(/^expand:?/, '') : ''
+    });
+    tk.loadData(meiText); // expansions are applied when loading
+    svgStrings = [];
+    for (let page = 1; page <= tk.getPageCount(); page++) {
+        svgStrings.push(tk.renderToSVG(page));
+    }
+    scoreTimemap = tk.renderToTimemap({ includeMeasures: true });
+    console.log("SVG rendered, " + svgStrings.length + " page(s).");
+} // renderPages()
+
+/**
+ * Re-renders the score with the layout and repeats selected in the dropdowns
+ */
+function updateLayout() {
+    if (!tk || svgStrings.length === 0) {
+        return;
+    }
+    stopWarpAnimation();
+    clearAllLines();
+    renderPages();
+    updateGUI();
+} // updateLayout()
+
+/**
+ * Re-renders the score as a single line, e.g. for the panels drawn in this layout only
+ */
+function showSingleLine() {
+    let breaksSel = document.getElementById('breaks');
+    if (breaksSel) {
+        breaksSel.value = 'none';
+    }
+    updateLayout();
+} // showSingleLine()
+
+/**
+ * Lists the expansions of the loaded MEI file in the repeats dropdown
+ * (after the options for notated repeats and for expanding the repeat marks)
+ */
+function updateRepeatsOptions() {
+    let repeatsSel = document.getElementById('repeats');
+    if (!repeatsSel) {
+        return;
+    }
+    let value = repeatsSel.value;
+    repeatsSel.length = 3;
+    ScoreWarper.listExpansions(meiText).forEach((id) => {
+        repeatsSel.options[repeatsSel.options.length] = new Option('Expansion ' + id, 'expand:' + id);
+    });
+    repeatsSel.value = Array.from(repeatsSel.options).some((o) => o.value === value) ? value : 'first';
+} // updateRepeatsOptions()
+
+/**
+ * Returns the repeat pass ('first' or 'last') to be warped in a score with notated repeats
+ */
+function getRepeatPass() {
+    return (document.getElementById('repeats')?.value === 'last') ? 'last' : 'first';
+} // getRepeatPass()
+
+/**
+ * Returns true, if the score is engraved in a single system on a single page,
+ * so that performance timing can be shown in the performance panel below the score
+ */
+function isSingleSystem() {
+    return scoreWarpers.length === 1 && scoreWarper.svgObj.querySelectorAll('.system').length <= 1;
+} // isSingleSystem()
+
+/**
+ * Returns whether the score is warped
+ * @returns {boolean}
+ */
+function isWarped() {
+    return scoreWarper?.warped ?? false;
+} // isWarped()
+
 /**
  * Finalize loading of MEI file.
  * Update the GUI with the SVG object and the notation panel.
@@ -118,24 +222,31 @@ function loadMEI(reload = true) {
  * List all warpable elements of the score.
  */
 function updateGUI() {
-    if (!svgString) {
+    if (svgStrings.length === 0) {
         return;
     }
 
-    // parse SVG text to SVG object
-    let svgDocument = new DOMParser().parseFromString(svgString, "image/svg+xml");
-    if (svgDocument.childNodes && svgDocument.childNodes.length > 0) {
-        scoreWarper = new ScoreWarper(svgDocument.childNodes[0]);
-        // console.log("SVG inside ScoreWarper:", scoreWarper.svgObj);
-    }
+    // parse SVG text of each page to SVG object
+    scoreWarpers = [];
+    svgStrings.forEach((svgString) => {
+        let svgDocument = new DOMParser().parseFromString(svgString, "image/svg+xml");
+        if (svgDocument.childNodes && svgDocument.childNodes.length > 0) {
+            scoreWarpers.push(new ScoreWarper(svgDocument.childNodes[0], undefined,
+                { repeatPass: getRepeatPass(), timemap: scoreTimemap }));
+            // console.log("SVG inside ScoreWarper:", scoreWarper.svgObj);
+        }
+    });
+    scoreWarper = scoreWarpers[0];
 
     // update notation panel
     let notationDiv = document.getElementById("notation");
     notationDiv.innerHTML = "<p><b>Score:</b> " + pieceSel.value + "</p>";
-    notationDiv.appendChild(scoreWarper.svgObj);
+    scoreWarpers.forEach((sw) => {
+        notationDiv.appendChild(sw.svgObj);
+        sw.shiftPageMargin();
+    });
     // console.log('NotationDiv: ', notationDiv);
-
-    scoreWarper.shiftPageMargin();
+    drawComparison();
 
     if (pieceSel && pieceSel.value && perfSel && perfSel.value &&
         demoFiles[pieceSel.value].performances[perfSel.value]) {
@@ -147,14 +258,18 @@ function updateGUI() {
  * Keyboard listener for shortcuts:
  * - 'W' warps the score to match the performed events
  * - 'A' warps the score to match the performed notes
- * - 'C' reloads the MEI file
+ * - 'C' restores the engraved score
+ * - 'P' plays the transition between engraved and warped score
  * - 'D' downloads score SVG file
  * - 'F' downloads score and performance SVG file (only keyboard shortcut, no button)
+ * - 'S' starts or pauses playback of the audio file or performance MIDI
  */
 function keyboardListener(e) {
     if (e.code == 'KeyW') warp(); // warp score to match performed events
     if (e.code == 'KeyA') warpIndividualNotes(); // warp score to match performed notes
-    if (e.code == "KeyC") loadMEI(false); // reload MEI file
+    if (e.code == "KeyC") unwarp(); // restore engraved score
+    if (e.code == "KeyP") playWarp(); // animate transition between engraved and warped score
+    if (e.code == "KeyS") togglePlayback(); // play or pause audio file or performance MIDI
     // download score SVG file
     if (e.code == "KeyD" && scoreWarper.svgObj) {
         downloadSVG();
@@ -166,32 +281,424 @@ function keyboardListener(e) {
 } // keyboardListener()
 
 /**
- * Warps the score to match the performed events.
+ * Warps the score to match the performed events. A warped score is warped again
+ * with the current settings.
  */
 function warp() {
     if (!scoreWarper.noteSVGXs) {
         return;
     }
-    if (!warped) {
-        // clear download link element
-        document.getElementById("downloadLink").innerHTML = "";
-
-        scoreWarper.warp();
-        warped = true;
+    // clear download link element
+    document.getElementById("downloadLink").innerHTML = "";
+    stopWarpAnimation();
+    removeWarpTiming();
+    document.querySelectorAll('.collisionReport').forEach(item => item.remove());
 
-        drawConnectorLines('chords');
-        drawTimeAxis(scoreWarper.svgObj, true, scoreWarper.svgHeight - 20, 'cornflowerblue');
-        // downloadSVG(new XMLSerializer().serializeToString(svgObj));
+    let resolveCollisions = document.getElementById('resolveCollisions')?.checked ?? false;
+    let perStaff = document.getElementById('perStaff')?.checked ?? false;
+    let interpolation = getInterpolation();
+    let alignmentOptions = getAlignmentOptions();
+    scoreWarpers.forEach((sw) => {
+        sw.resolveCollisions = resolveCollisions;
+        sw.perStaff = perStaff;
+        sw.setAlignmentOptions(alignmentOptions); // reloads the maps only if an option changed
+        sw.warp(null, interpolation);
+    });
+    document.getElementById('warpAmount').value = 1;
+    if (resolveCollisions) {
+        showCollisionReport();
     }
+    drawWarpTiming();
+    // downloadSVG(new XMLSerializer().serializeToString(svgObj));
 } // warp()
 
+/**
+ * Restores the engraved score, keeping the performance timing
+ */
+function unwarp() {
+    if (!isWarped()) {
+        return;
+    }
+    stopWarpAnimation();
+    removeWarpTiming();
+    document.querySelectorAll('.collisionReport').forEach(item => item.remove());
+    scoreWarpers.forEach((sw) => sw.unwarp());
+    document.getElementById('warpAmount').value = 1;
+    if (isSingleSystem()) {
+        drawConnectorLines('score');
+    } else {
+        drawAllSystemTiming();
+    }
+    updateChordAsynchrony();
+    redrawPlayCursor();
+} // unwarp()
+
+/**
+ * Draws connector lines and time axes for the current warp amount of the score
+ */
+function drawWarpTiming() {
+    let warpAmount = scoreWarper.warpAmount;
+    if (isSingleSystem()) {
+        drawConnectorLines('chords', warpAmount);
+        if (warpAmount === 1) {
+            drawTimeAxis(scoreWarper.svgObj, true, scoreWarper.svgHeight - 20, 'cornflowerblue');
+        }
+    } else {
+        drawAllSystemTiming(warpAmount);
+    }
+    updateChordAsynchrony();
+    redrawPlayCursor();
+} // drawWarpTiming()
+
+/**
+ * Removes time axes, system timing, chord asynchrony markers and the playback cursor from the score,
+ * before it is warped, as they would be shifted as part of the score
+ */
+function removeWarpTiming() {
+    scoreWarpers.forEach((sw) => {
+        sw.svgObj.querySelectorAll('.timeAxis, .systemTiming, .chordAsynchrony, .playCursor').forEach(item => item.remove());
+    });
+} // removeWarpTiming()
+
+/**
+ * Sets the layout of the warped score in between engraved (0) and warped (1)
+ * @param {number|string} amount - the warp amount, from the slider
+ */
+function updateWarpAmount(amount) {
+    if (!isWarped()) {
+        document.getElementById('warpAmount').value = 1;
+        return;
+    }
+    removeWarpTiming();
+    scoreWarpers.forEach((sw) => sw.setWarpAmount(amount));
+    document.getElementById('warpAmount').value = scoreWarper.warpAmount;
+    drawWarpTiming();
+} // updateWarpAmount()
+
+/**
+ * Plays the transition from the engraved to the warped score, or back,
+ * if the score is fully warped. Stops a playing transition.
+ * @param {number} duration - duration of a complete transition in milliseconds
+ */
+function playWarp(duration = 2000) {
+    if (warpAnimation) {
+        stopWarpAnimation();
+        return;
+    }
+    if (!isWarped()) {
+        console.info('Please warp the score first.');
+        return;
+    }
+    let startAmount = scoreWarper.warpAmount;
+    let targetAmount = (startAmount === 1) ? 0 : 1;
+    let startTime = performance.now();
+    let step = (now) => {
+        let progress = Math.min((now - startTime) / (duration * Math.abs(targetAmount - startAmount)), 1);
+        updateWarpAmount(startAmount + progress * (targetAmount - startAmount));
+        warpAnimation = (progress < 1) ? requestAnimationFrame(step) : null;
+    };
+    warpAnimation = requestAnimationFrame(step);
+} // playWarp()
+
+/**
+ * Stops a playing transition between engraved and warped score
+ */
+function stopWarpAnimation() {
+    if (warpAnimation) {
+        cancelAnimationFrame(warpAnimation);
+        warpAnimation = null;
+    }
+} // stopWarpAnimation()
+
+/**
+ * Returns the interpolation of the warping function selected in the GUI
+ * @returns {Object} {mode, window}
+ */
+function getInterpolation() {
+    return {
+        mode: document.getElementById('interpolation')?.value || 'linear',
+        window: parseInt(document.getElementById('smoothingWindow')?.value) || 5
+    };
+} // getInterpolation()
+
+/**
+ * Returns the handling of maps events selected in the GUI (see ScoreWarper constructor)
+ * @returns {Object} {minConfidence, weighting, keepScoreOrder, skipUnplayed}
+ */
+function getAlignmentOptions() {
+    let minConfidence = parseFloat(document.getElementById('minConfidence')?.value);
+    return {
+        minConfidence: isNaN(minConfidence) ? null : minConfidence,
+        weighting: document.getElementById('weighting')?.value || 'none',
+        keepScoreOrder: document.getElementById('keepScoreOrder')?.checked ?? false,
+        skipUnplayed: document.getElementById('skipUnplayed')?.checked ?? true
+    };
+} // getAlignmentOptions()
+
+/**
+ * Warps the score to the consensus of the performances selected for comparison
+ * (see ScoreWarper.consensusMaps()), with the statistic of the consensus dropdown
+ */
+function warpToConsensus() {
+    if (comparisonMaps.length < 2) {
+        console.info('Please select at least two performances to compare.');
+        return;
+    }
+    let statistic = document.getElementById('consensusStatistic')?.value || 'median';
+    let reportDiv = document.getElementById("mapsReport");
+    let maps;
+    try {
+        maps = ScoreWarper.consensusMaps(comparisonMaps.map((item) => item.maps), { statistic: statistic });
+    } catch (error) {
+        console.error(error);
+        reportDiv.innerHTML = '<p class="error"><b>Error:</b> </p>';
+        reportDiv.querySelector('.error').append(error.message);
+        return;
+    }
+    mapsFileName = 'consensus';
+    if (perfSel) {
+        perfSel.value = ''; // no single performance shown
+    }
+    clearMidiFile();
+    clearAudioFile();
+    stopWarpAnimation();
+    clearAllLines();
+    reportDiv.innerHTML = "";
+    loadPerformanceTiming(maps);
+    warp();
+    let label = document.createElement('p');
+    label.innerHTML = '<b>Consensus:</b> ' + statistic + ' of ';
+    label.append(comparisonMaps.map((item) => item.name).join(', '));
+    document.getElementById("performanceTime").appendChild(label);
+} // warpToConsensus()
+
+/**
+ * Draws or removes the error bars of the onsets (standard deviation across the
+ * performances of a consensus, see ScoreWarper.consensusMaps()), as selected in the checkbox
+ */
+function updateErrorBars() {
+    document.querySelectorAll('.errorBars').forEach(item => item.remove());
+    if (!scoreWarper?.maps) {
+        return;
+    }
+    if (isSingleSystem()) {
+        if (document.getElementById('errorBars')?.checked) {
+            drawErrorBars(document.querySelector('.performanceTime'));
+        }
+    } else {
+        drawAllSystemTiming();
+    }
+} // updateErrorBars()
+
+/**
+ * Draws a horizontal error bar around the onset of each maps event with a spread
+ * (the largest spread of its notes, in seconds), on a time axis
+ * @param {Element} node - the parent node
+ * @param {boolean} toScreen - screen coordinates (performance panel) or SVG coordinates (score)
+ * @param {number} y - y of the error bars
+ * @param {Object} system - the system (for SVG coordinates)
+ * @param {ScoreWarper} sw - the score warper of the maps
+ */
+function drawErrorBars(node, toScreen = true, y = (y0basis + y1) / 2, system = undefined, sw = scoreWarper) {
+    const g = document.createElementNS(svgNS, 'g');
+    g.setAttribute('class', 'errorBars');
+    node.appendChild(g);
+    let unit = (toScreen) ? 1 : sw.svgViewBox[2] / sw.svgWidth; // size of a screen pixel
+    let x = (t, system) => (toScreen) ? sw.time2screen(t, system) : sw.time2svg(t, system);
+    (system ? [system] : sw.systems).forEach((item) => {
+        item.mapsIdxs.forEach((i, j) => {
+            let spread = Math.max(0, ...(sw.maps[i].spread ?? []).filter((value) => Number.isFinite(value)));
+            if (spread > 0) {
+                let t = item.onsets[j];
+                let [x1, x2] = [x(t - spread, item), x(t + spread, item)];
+                addLine(g, x1, x2, y, y, 'darkred', unit);
+                addLine(g, x1, x1, y - 3 * unit, y + 3 * unit, 'darkred', unit);
+                addLine(g, x2, x2, y - 3 * unit, y + 3 * unit, 'darkred', unit);
+            }
+        });
+    });
+} // drawErrorBars()
+
+/**
+ * Colours the performed notes in the score by their timing deviation from a global tempo
+ * fitted to the nominal score time (see ScoreWarper.timingDeviations()): early notes blue,
+ * late notes red, on time black, with a legend above the score, as selected in the checkbox
+ */
+function updateDeviationColors() {
+    document.querySelectorAll('.deviationLegend').forEach(item => item.remove());
+    scoreWarpers.forEach((sw) => sw.svgObj.querySelectorAll('[data-deviation]').forEach((element) => {
+        element.removeAttribute('fill');
+        element.removeAttribute('data-deviation');
+    }));
+    if (!document.getElementById('deviationColors')?.checked || !scoreWarper?.maps) {
+        return;
+    }
+    let deviations;
+    try {
+        deviations = scoreWarpers.map((sw) => sw.timingDeviations());
+    } catch (error) {
+        console.error(error);
+        return;
+    }
+    let shown = deviations.flatMap((item) => item.notes.filter((note) => note.renderedId !== null));
+    let maxDeviation = Math.max(0.01, ...shown.map((note) => Math.abs(note.deviation)));
+    scoreWarpers.forEach((sw, i) => {
+        deviations[i].notes.forEach((note) => {
+            let element = sw.getElementForId(note.renderedId);
+            if (element) {
+                element.setAttribute('fill', deviationColor(note.deviation, maxDeviation));
+                element.setAttribute('data-deviation', note.deviation.toFixed(3));
+            }
+        });
+    });
+
+    let legend = document.createElement('p');
+    legend.setAttribute('class', 'deviationLegend');
+    let bpm = deviations[0].tempo.bpm;
+    legend.innerHTML = '<b>Timing deviation</b> from ' + (bpm ? bpm.toFixed(1) + ' quarter notes per minute' : 'the score') +
+        ': early &minus;' + maxDeviation.toFixed(2) + ' s <span style="background: linear-gradient(to right, ' +
+        deviationColor(-maxDeviation, maxDeviation) + ', black, ' + deviationColor(maxDeviation, maxDeviation) +
+        ')"></span> +' + maxDeviation.toFixed(2) + ' s late';
+    document.querySelector('#notation p').after(legend);
+} // updateDeviationColors()
+
+/**
+ * Returns the colour of a timing deviation, from blue (early) over black to red (late)
+ * @param {number} deviation - in seconds
+ * @param {number} maxDeviation - deviation of full colour
+ * @returns {string}
+ */
+function deviationColor(deviation, maxDeviation) {
+    let amount = Math.min(1, Math.abs(deviation) / maxDeviation) || 0;
+    let rgb = (deviation < 0) ? [0, 80, 255] : [230, 0, 0];
+    return 'rgb(' + rgb.map((value) => Math.round(value * amount)).join(', ') + ')';
+} // deviationColor()
+
+/**
+ * Codes the noteheads of the performed notes by their velocity, as selected in the velocity
+ * dropdown (see ScoreWarper.codeVelocities())
+ */
+function updateVelocityNoteheads() {
+    let mode = document.getElementById('velocityMode')?.value || 'none';
+    scoreWarpers.forEach((sw) => {
+        try {
+            sw.codeVelocities(sw.maps ? mode : 'none');
+        } catch (error) {
+            console.error(error);
+        }
+    });
+} // updateVelocityNoteheads()
+
+/**
+ * Lists the notes displaced to resolve collisions below the performance panel
+ */
+function showCollisionReport() {
+    let report = scoreWarpers.flatMap((sw) => sw.collisionReport)
+        .filter((item) => Math.abs(item.displacement) > 0.5);
+    console.info('Collision report: ', report);
+    let maxDisplacement = Math.max(0, ...report.map((item) => Math.abs(item.timeDisplacement)));
+    let p = document.createElement('p');
+    p.setAttribute('class', 'collisionReport');
+    p.innerHTML = '<b>Collisions:</b> ' + report.length + ' notes displaced from their onsets' +
+        (report.length > 0 ? ', at most by ' + maxDisplacement.toFixed(3) + ' s.' : '.');
+    document.getElementById("performanceTime").appendChild(p);
+} // showCollisionReport()
+
+/**
+ * Draws or removes the chord asynchrony markers above the chords of the score and their
+ * summary below the performance panel, as selected in the checkbox (see drawChordAsynchrony())
+ */
+function updateChordAsynchrony() {
+    document.querySelectorAll('.chordReport').forEach(item => item.remove());
+    scoreWarpers.forEach((sw) => {
+        sw.svgObj.querySelectorAll('.chordAsynchrony').forEach(item => item.remove());
+        sw.svgObj.querySelectorAll('.chordLead').forEach(item => item.classList.remove('chordLead'));
+    });
+    if (!document.getElementById('chordAsynchrony')?.checked || !scoreWarper?.maps) {
+        return;
+    }
+    let chords = scoreWarpers.flatMap((sw) => drawChordAsynchrony(sw));
+    let asynchronous = chords.filter((chord) => chord.spread > 0);
+    let topLeads = asynchronous.filter((chord) => chord.leads.includes(chord.top));
+    let mean = (values) => values.reduce((sum, value) => sum + value, 0) / Math.max(values.length, 1);
+    let p = document.createElement('p');
+    p.setAttribute('class', 'chordReport');
+    p.innerHTML = '<b>Chord asynchrony:</b> ' + asynchronous.length + ' of ' + chords.length + ' chords asynchronous, ' +
+        'mean spread ' + (1000 * mean(asynchronous.map((chord) => chord.spread))).toFixed(0) + ' ms, ' +
+        'top note first in ' + topLeads.length + ', mean melody lead ' +
+        (1000 * mean(chords.map((chord) => chord.melodyLead))).toFixed(0) + ' ms.';
+    document.getElementById("performanceTime").appendChild(p);
+} // updateChordAsynchrony()
+
+/**
+ * Draws a marker above each performed chord of a page (see ScoreWarper.chordAsynchronies()):
+ * a gray bar as wide as the onset spread on the time axis of the warped score, starting at
+ * the first note of the chord (moved with the warp amount), with an orange dot if the notes
+ * are not played together, and highlights the notes played first
+ * @param {ScoreWarper} sw
+ * @param {number} warpAmount - the warp amount of the score (0..1)
+ * @returns {Array[Object]} the chords of the page
+ */
+function drawChordAsynchrony(sw, warpAmount = sw.warped ? sw.warpAmount : 0) {
+    let chords;
+    try {
+        chords = sw.chordAsynchronies();
+    } catch (error) {
+        console.error(error);
+        return [];
+    }
+    let unit = sw.svgViewBox[2] / sw.svgWidth; // size of a screen pixel in SVG units
+    const g = document.createElementNS(svgNS, 'g');
+    g.setAttribute('class', 'chordAsynchrony');
+    sw.svgObj.querySelector('.page-margin').appendChild(g);
+    chords.forEach((chord) => {
+        let notes = chord.ids.map((id) => sw.getElementForId(id));
+        let system = sw.getSystemForElement(notes[0]);
+        if (!system) {
+            return;
+        }
+        let engravedX = Math.min(...notes.map((note) => sw.noteheadX(note)));
+        let x = engravedX + warpAmount * (sw.time2svg(chord.onset, system) - engravedX);
+        let width = sw.time2svg(chord.onset + chord.spread, system) - sw.time2svg(chord.onset, system);
+        let y = Math.min(...notes.map((note) => sw.getBBox(note).y)) - 8 * unit;
+        let bar = addLine(g, x, x + Math.max(width, 0), y, y, 'gray', 3 * unit);
+        const title = document.createElementNS(svgNS, 'title');
+        title.textContent = 'Spread ' + (1000 * chord.spread).toFixed(0) + ' ms, melody lead ' +
+            (1000 * chord.melodyLead).toFixed(0) + ' ms' + (chord.leads.length ? ', first: ' + chord.leads.join(' ') : '');
+        bar.appendChild(title);
+        if (chord.spread > 0) {
+            addCircle(g, x, y, 2.5 * unit, 'darkorange', unit).setAttribute('fill', 'darkorange');
+        }
+        chord.leads.forEach((id) => sw.getElementForId(id).classList.add('chordLead'));
+    });
+    return chords;
+} // drawChordAsynchrony()
+
+/**
+ * Downloads the chord asynchronies of all pages as CSV file (see ScoreWarper.chordAsynchronyCSV())
+ */
+function downloadChordCSV() {
+    if (!scoreWarper?.maps) {
+        console.info('Please load a performance to compute its chord asynchronies.');
+        return;
+    }
+    let chords = scoreWarpers.flatMap((sw) => sw.chordAsynchronies());
+    let a = document.getElementById("downloadLink");
+    a.href = URL.createObjectURL(new Blob([ScoreWarper.chordAsynchronyCSV(chords)], { type: 'text/csv' }));
+    let perfName = perfSel?.value || mapsFileName.replace(/^.*\//, '').replace(/\.[^.]*$/, '') || 'performance';
+    a.download = (pieceSel?.value || 'score') + '_' + perfName + '_asynchrony.csv';
+    a.click();
+} // downloadChordCSV()
+
 /**
  * Warps the notes inside chords to match the performed notes.
  */
 function warpIndividualNotes() {
-    if (warped) {
-        scoreWarper.warpIndividualNotes();
-        drawConnectorLines('notes');
+    if (isWarped()) {
+        scoreWarpers.forEach((sw) => sw.warpIndividualNotes());
+        if (isSingleSystem()) {
+            drawConnectorLines('notes', scoreWarper.warpAmount);
+        }
     } else {
         console.info('Please warp the score first.');
     }
@@ -202,33 +709,206 @@ let y0basis = 110; // y of time axis
 let y1 = 70; // y of straigth lines
 let y2 = 0; // y of orange connector lines
 let yMx = 140; // mx y of performance panel
+let rollHeight = 160; // height of the piano roll below the performance panel
+let audioHeight = 120; // height of the waveform or spectrogram below the piano roll
+let tempoHeight = 100; // height of the tempo curve below the waveform or spectrogram
+let dynamicsHeight = 100; // height of the dynamics curve below the tempo curve
+let systemCurveHeight = 30; // height of the piano roll, audio, tempo and dynamics curves below each system (screen pixels)
+let systemAudioCache = new WeakMap(); // system -> drawn recording (see drawSystemAudio())
+let systemVelocityCache = new WeakMap(); // score warper -> note velocities per system (see getSystemVelocities())
+let tempoCurveCache = null; // the last tempo curve with the maps and options it was computed for (see getTempoCurve())
+const staffColors = ['royalblue', 'darkorange', 'seagreen', 'purple', 'saddlebrown', 'teal']; // dynamics per staff
 
 /**
  * Draw orange lines, to connect to 'score' or to performed 'notes'
  * @param {string} target - 'score' or 'notes'
+ * @param {number} warpAmount - for 'chords' and 'notes', the warp amount of the score (0..1)
  */
-function drawConnectorLines(target = 'score') { // 'chords', 'notes'
+function drawConnectorLines(target = 'score', warpAmount = 1) { // 'chords', 'notes'
     let pt = document.querySelector('.performanceTime');
     if (pt) {
         pt.querySelectorAll('line[stroke="orange"]') // remove lines
             .forEach(item => item.remove());
     }
-    let j = 0;
     // plot straight lines
-    scoreWarper.maps.forEach((item, i) => {
-        if (i >= scoreWarper.firstOnsetIdx(scoreWarper.maps) &&
-            i <= scoreWarper.lastOnsetIdx(scoreWarper.maps)) {
-            screenX = scoreWarper.time2screen(item.obs_mean_onset);
+    scoreWarper.systems.forEach((system) => {
+        system.onsets.forEach((t, j) => {
+            let screenX = scoreWarper.time2screen(t, system);
 
             if (target === 'score') {
-                addLine(pt, screenX, scoreWarper.noteXs[j++], y1, y2, 'orange');
+                addLine(pt, screenX, system.noteXs[j], y1, y2, 'orange');
             } else {
-                addLine(pt, screenX, screenX, y1, y2, 'orange');
+                let noteX = system.noteXs[j] + warpAmount * (screenX - system.noteXs[j]);
+                addLine(pt, screenX, noteX, y1, y2, 'orange');
             }
-        }
+        });
     });
 } // drawConnectorLines()
 
+/**
+ * Draws the timing below the systems of all pages (see drawSystemTiming()),
+ * with the tempo curve, if selected, computed once for all pages
+ * @param {number} warpAmount - (optional) the warp amount of the score, defaults to the one of each page
+ */
+function drawAllSystemTiming(warpAmount = undefined) {
+    let tempoCurve = (document.getElementById('tempoUnit')?.value || 'none') !== 'none' ? getTempoCurve() : [];
+    scoreWarpers.forEach((sw) => drawSystemTiming(sw, warpAmount, tempoCurve));
+} // drawAllSystemTiming()
+
+/**
+ * Draws onset ticks, connector lines and a time axis below each system of a page
+ * into the score SVG (used for scores with system and page breaks), and below
+ * the time axis the piano roll of the performance MIDI file, the recording and the tempo and
+ * dynamics curves, if loaded or selected
+ * @param {ScoreWarper} sw - the score warper object of the page
+ * @param {number} warpAmount - the warp amount of the score, 0 (engraved) to 1 (warped)
+ * @param {Array[Object]} tempoCurve - the tempo curve of the performance (see getTempoCurve()), if selected
+ */
+function drawSystemTiming(sw, warpAmount = sw.warped ? sw.warpAmount : 0, tempoCurve = []) {
+    let pageMarginElement = sw.svgObj.querySelector('.page-margin');
+    pageMarginElement.querySelectorAll('.systemTiming').forEach(item => item.remove());
+    let unit = sw.svgViewBox[2] / sw.svgWidth; // size of a screen pixel in SVG units
+    let velocities = (document.getElementById('dynamicsCurve')?.checked && sw.maps) ? getSystemVelocities(sw) : new Map();
+    sw.systems.forEach((system) => {
+        const g = document.createElementNS(svgNS, 'g');
+        g.setAttribute('class', 'systemTiming');
+        pageMarginElement.appendChild(g);
+        let bbox = system.element.getBBox();
+        let yBottom = bbox.y + bbox.height; // bottom of system
+        let yAxis = yBottom + 20 * unit; // y of time axis
+        system.onsets.forEach((t, j) => {
+            let x = sw.time2svg(t, system);
+            let noteX = system.noteSVGXs[j] + warpAmount * (x - system.noteSVGXs[j]);
+            addLine(g, x, x, yAxis, yAxis - 8 * unit, 'purple', unit);
+            addLine(g, x, noteX, yAxis - 8 * unit, yBottom, 'orange', unit);
+        });
+        drawTimeAxis(g, false, yAxis, warpAmount === 1 ? 'cornflowerblue' : 'black', system, sw);
+        if (document.getElementById('errorBars')?.checked) {
+            drawErrorBars(g, false, yAxis - 4 * unit, system, sw);
+        }
+        let yCurves = yAxis + 20 * unit; // below the tick labels, one row per drawn curve
+        [
+            () => drawSystemPianoRoll(g, sw, system, yCurves),
+            () => drawSystemAudio(g, sw, system, yCurves),
+            () => drawSystemTempo(g, sw, system, tempoCurve, yCurves),
+            () => drawSystemDynamics(g, sw, system, velocities.get(system) ?? [], yCurves)
+        ].forEach((draw) => {
+            if (draw()) {
+                yCurves += (systemCurveHeight + 4) * unit;
+            }
+        });
+    });
+} // drawSystemTiming()
+
+/**
+ * Returns the note velocities of a page (see ScoreWarper.noteVelocities()) per system,
+ * computed once per maps, repeat pass and layout of the page, as the system timing is
+ * redrawn in every frame of the warp animation
+ * @param {ScoreWarper} sw - the score warper of the page
+ * @returns {Map} system -> array of notes
+ */
+function getSystemVelocities(sw) {
+    let cached = systemVelocityCache.get(sw);
+    if (!cached || cached.maps !== sw.maps || cached.systems !== sw.systems || cached.repeatPass !== sw.repeatPass) {
+        let notes = new Map(sw.systems.map((system) => [system, []]));
+        let systemOf = new Map(sw.systems.map((system) => [system.element, system]));
+        try {
+            sw.noteVelocities().forEach((note) => {
+                notes.get(systemOf.get(sw.getElementForId(note.id)?.closest('.system')))?.push(note);
+            });
+        } catch (error) {
+            console.error(error);
+        }
+        cached = { maps: sw.maps, systems: sw.systems, repeatPass: sw.repeatPass, notes: notes };
+        systemVelocityCache.set(sw, cached);
+    }
+    return cached.notes;
+} // getSystemVelocities()
+
+/**
+ * Draws the notes of the performance MIDI file that start in the time span of a system into
+ * the score, below its time axis and on the same x axis, as a small piano roll (see drawRollNotes())
+ * @param {Element} node - the parent node
+ * @param {ScoreWarper} sw - the score warper of the page
+ * @param {Object} system - the system
+ * @param {number} yTop - y of the top of the roll (SVG units)
+ * @returns {boolean} whether a roll was drawn
+ */
+function drawSystemPianoRoll(node, sw, system, yTop) {
+    let notes = performanceMidi?.notes ?? [];
+    if (!notes.some((note) => note.onset >= system.tmn && note.onset < system.nextTmn)) {
+        return false;
+    }
+    const g = document.createElementNS(svgNS, 'g');
+    g.setAttribute('class', 'systemPianoRoll');
+    node.appendChild(g);
+    drawRollNotes(g, (t) => Math.min(sw.time2svg(t, system), system.rightSVGX), yTop, systemCurveHeight,
+        sw.svgViewBox[2] / sw.svgWidth, [system.tmn, system.nextTmn]);
+    return true;
+} // drawSystemPianoRoll()
+
+/**
+ * Draws the segments of a tempo curve (see ScoreWarper.tempoCurve()) that start in the time
+ * span of a system into the score, below its time axis and on the same x axis (see
+ * drawTempoCurve()), scaled to the tempi of the whole curve, so that the curves of all
+ * systems can be compared
+ * @param {Element} node - the parent node
+ * @param {ScoreWarper} sw - the score warper of the page
+ * @param {Object} system - the system
+ * @param {Array[Object]} curve - the tempo curve of the performance
+ * @param {number} yTop - y of the top of the curve (SVG units)
+ * @returns {boolean} whether a curve was drawn
+ */
+function drawSystemTempo(node, sw, system, curve, yTop) {
+    let tempos = curve.flatMap((segment) => [segment.bpm, segment.smoothedBpm]).filter((bpm) => bpm !== null);
+    let segments = curve.filter((segment) => segment.onset >= system.tmn && segment.onset < system.nextTmn);
+    if (tempos.length === 0 || segments.length === 0) {
+        return false;
+    }
+    let unit = sw.svgViewBox[2] / sw.svgWidth; // size of a screen pixel in SVG units
+    let [minBpm, maxBpm] = [Math.min(...tempos), Math.max(...tempos)];
+    let y = (bpm) => yTop + (systemCurveHeight - 4 - (bpm - minBpm) / Math.max(maxBpm - minBpm, 1) * (systemCurveHeight - 12)) * unit;
+    let x = (t) => sw.time2svg(t, system);
+
+    const g = document.createElementNS(svgNS, 'g');
+    g.setAttribute('class', 'systemTempo');
+    node.appendChild(g);
+    let xLeft = x(system.tmn);
+    drawTempoCurve(g, segments, [minBpm, maxBpm], x, y, [xLeft, x(segments[segments.length - 1].offset)], xLeft - 4 * unit, unit);
+    return true;
+} // drawSystemTempo()
+
+/**
+ * Draws the velocities of the performed notes of a system (see getSystemVelocities()) into
+ * the score, below its time axis (and the rows above) and on the same x axis, as one line per
+ * staff (see drawVelocityCurves())
+ * @param {Element} node - the parent node
+ * @param {ScoreWarper} sw - the score warper of the page
+ * @param {Object} system - the system
+ * @param {Array[Object]} notes - the note velocities of the system
+ * @param {number} yTop - y of the top of the curve (SVG units)
+ * @returns {boolean} whether a curve was drawn
+ */
+function drawSystemDynamics(node, sw, system, notes, yTop) {
+    if (notes.length === 0) {
+        return false;
+    }
+    let unit = sw.svgViewBox[2] / sw.svgWidth; // size of a screen pixel in SVG units
+    let y = (velocity) => yTop + (systemCurveHeight - 4 - velocity / 127 * (systemCurveHeight - 8)) * unit;
+    let x = (t) => sw.time2svg(t, system);
+
+    const g = document.createElementNS(svgNS, 'g');
+    g.setAttribute('class', 'systemDynamics');
+    node.appendChild(g);
+    let [xLeft, xRight] = [x(system.tmn), x(system.tmx)];
+    [[32, 'pp'], [96, 'ff']].forEach(([velocity, marking]) => {
+        addLine(g, xLeft, xRight, y(velocity), y(velocity), 'lightgray', unit);
+        addText(g, marking, xLeft - 4 * unit, y(velocity) + 3 * unit, 'end', 'gray', 9 * unit);
+    });
+    drawVelocityCurves(g, notes, x, y, unit);
+    return true;
+} // drawSystemDynamics()
+
 /**
  * Draws red lines inside SVG (for debugging) into a separate line container group
  */
@@ -249,7 +929,8 @@ function drawLinesInScore() {
 
             definitionScaleElement.appendChild(lineContainer);
         }
-        if (!warped) {
+        lineContainer.querySelectorAll('line').forEach(item => item.remove());
+        if (!isWarped()) {
             scoreWarper.noteSVGXs.forEach(item => {
                 addLine(lineContainer, item, item, scoreWarper.svgViewBox[3], 0, 'red', 20);
             });
@@ -298,6 +979,7 @@ function clearAllLines() {
     if (pm) {
         pm.querySelectorAll('line').forEach(item => item.remove());
     }
+    removeWarpTiming();
 } // clearAllLines()
 
 /**
@@ -305,7 +987,22 @@ function clearAllLines() {
  * @param {Object} maps 
  */
 function loadPerformanceTiming(maps) {
-    scoreWarper.maps = maps;
+    scoreWarpers.forEach((sw) => sw.maps = maps);
+    showMapsReport(maps);
+    updateDeviationColors();
+    updateVelocityNoteheads();
+
+    // for scores with several systems, draw timing per system into the score
+    if (!isSingleSystem()) {
+        drawPianoRoll(); // aligns the MIDI notes to the new maps and draws the timing of each system
+        let scoreTimeDiv = document.getElementById("performanceTime");
+        scoreTimeDiv.innerHTML = "<p>Performance timing is drawn below each system.</p>";
+        if (pieceSel && pieceSel.value && perfSel && perfSel.value) {
+            scoreTimeDiv.innerHTML += "<p><b>Performance: </b>" + perfSel.value + "</p>";
+        }
+        updateChordAsynchrony();
+        return;
+    }
 
     // performanceTime Panel to demonstrate
     let ptObj = createScoreTimeSVG(scoreWarper.svgWidth, yMx);
@@ -335,6 +1032,9 @@ function loadPerformanceTiming(maps) {
 
     drawConnectorLines('score');
     drawTimeAxis(document.querySelector('.performanceTime'));
+    if (document.getElementById('errorBars')?.checked) {
+        drawErrorBars(document.querySelector('.performanceTime'));
+    }
 
     // for DEBUGGING: plot warping function...
     if (true) {
@@ -344,8 +1044,907 @@ function loadPerformanceTiming(maps) {
         // downloadSVG(serializer.serializeToString(scoreWarper.svgObj));
         drawLinesInScore();
     }
+    drawPianoRoll();
+    drawAudioPanel();
+    updateChordAsynchrony();
 } // loadPerformanceTiming()
 
+/**
+ * Loads the local MIDI file of the performance (e.g. the .boe.mid file the maps file
+ * was derived from) and draws it as piano roll
+ * @param {File} file
+ */
+function loadMidiFile(file) {
+    if (!file) {
+        return;
+    }
+    console.info("loadMidiFile " + file.name);
+    file.arrayBuffer().then((buffer) => {
+        try {
+            performanceMidi = new MidiFile(buffer);
+        } catch (error) {
+            console.error(error);
+            performanceMidi = null;
+            alert('Cannot load ' + file.name + ': ' + error.message);
+        }
+        drawPianoRoll();
+        drawAudioPanel();
+    });
+} // loadMidiFile()
+
+/**
+ * Forgets the MIDI file of the previous performance
+ */
+function clearMidiFile() {
+    performanceMidi = null;
+    midiAlignedIds = [];
+    let midiInput = document.getElementById('midiFile');
+    if (midiInput) {
+        midiInput.value = '';
+    }
+    document.querySelectorAll('.pianoRoll').forEach(item => item.remove());
+    drawAudioPanel();
+} // clearMidiFile()
+
+/**
+ * Draws the performance MIDI file as piano roll below the time axis of the performance
+ * panel, on the same time axis: notes with their durations, pitch upwards and
+ * velocity as opacity, and the sustain pedal as a band at the bottom. Hovering
+ * a note of the roll highlights the aligned note in the score (see alignMidiNotes()).
+ * With system or page breaks, the roll is drawn below the time axis of each system instead
+ * (see drawSystemPianoRoll()).
+ */
+function drawPianoRoll() {
+    if (!isSingleSystem()) {
+        midiAlignedIds = (performanceMidi && scoreWarper?.maps) ? alignMidiNotes(performanceMidi.notes) : [];
+        if (scoreWarper?.maps) {
+            drawAllSystemTiming(); // see drawSystemPianoRoll()
+        }
+        return;
+    }
+    let ptObj = document.querySelector('.performanceTime');
+    ptObj?.querySelectorAll('.pianoRoll').forEach(item => item.remove());
+    if (!performanceMidi || !ptObj) {
+        return;
+    }
+    const g = document.createElementNS(svgNS, 'g');
+    g.setAttribute('class', 'pianoRoll');
+    ptObj.appendChild(g);
+    midiAlignedIds = alignMidiNotes(performanceMidi.notes);
+    drawRollNotes(g, (t) => scoreWarper.time2screen(t), yMx, rollHeight); // below the time axis labels
+    ptObj.setAttribute('height', performancePanelHeight(ptObj));
+} // drawPianoRoll()
+
+/**
+ * Draws notes of the performance MIDI file as piano roll into a node: notes with their durations,
+ * pitch upwards (in the pitch range of the whole file), velocity as opacity and the sustain pedal
+ * as a band at the bottom. Hovering a note highlights the aligned score note (see alignMidiNotes()).
+ * @param {Element} node - the parent node
+ * @param {Function} x - x of a time in seconds
+ * @param {number} yTop - y of the top of the roll
+ * @param {number} height - height of the roll in screen pixels
+ * @param {number} unit - size of a screen pixel in the units of the node
+ * @param {Array[number]} span - [start, end) of the onsets of the notes drawn, pedals are cut at it
+ */
+function drawRollNotes(node, x, yTop, height, unit = 1, span = [-Infinity, Infinity]) {
+    let [start, end] = span;
+    let notes = performanceMidi.notes;
+    let pitches = notes.map((note) => note.pitch);
+    let minPitch = Math.min(...pitches, 60);
+    let maxPitch = Math.max(...pitches, 72);
+    let pedalHeight = 6 * unit;
+    let rowHeight = (height - 10) * unit / (maxPitch - minPitch + 1); // above the pedal band
+
+    // sustain pedal band
+    performanceMidi.pedals.filter((pedal) => pedal.onset < end && pedal.offset > start).forEach((pedal) => {
+        let x1 = x(Math.max(pedal.onset, start));
+        let rect = addRect(node, x1, yTop + height * unit - pedalHeight,
+            x(Math.min(pedal.offset, end)) - x1, pedalHeight, 'gray');
+        rect.setAttribute('fill-opacity', 0.4);
+    });
+
+    // notes, with the aligned score note in data-note
+    notes.forEach((note, i) => {
+        if (note.onset < start || note.onset >= end) {
+            return;
+        }
+        let rect = addRect(node, x(note.onset), yTop + (maxPitch - note.pitch) * rowHeight,
+            Math.max(x(note.offset) - x(note.onset), unit), rowHeight, 'purple');
+        rect.setAttribute('fill-opacity', Math.max(note.velocity / 127, 0.1));
+        if (midiAlignedIds[i]) {
+            rect.setAttribute('data-note', midiAlignedIds[i]);
+        }
+        const title = document.createElementNS(svgNS, 'title');
+        title.textContent = pitchName(note.pitch) + ', ' + note.onset.toFixed(3) + ' s, velocity ' +
+            note.velocity + (midiAlignedIds[i] ? ', ' + midiAlignedIds[i] : '');
+        rect.appendChild(title);
+    });
+    node.addEventListener('mouseover', (e) => highlightScoreNote(e.target.getAttribute('data-note'), true));
+    node.addEventListener('mouseout', (e) => highlightScoreNote(e.target.getAttribute('data-note'), false));
+} // drawRollNotes()
+
+/**
+ * Draws the loaded recording below the piano roll (or the time axis) of the performance
+ * panel, as waveform or log-frequency spectrogram (as selected in the audio view dropdown),
+ * on the same time axis, shifted by the playback offset, and the tempo curve below it.
+ * With system or page breaks, the recording is drawn below the time axis of each system
+ * instead (see drawSystemAudio()).
+ * @param {number} maxColumns - maximal number of spectrogram frames
+ */
+function drawAudioPanel(maxColumns = 1500) {
+    let ptObj = document.querySelector('.performanceTime');
+    ptObj?.querySelectorAll('.audioPanel').forEach(item => item.remove());
+    let audioBuffer = player?.audioBuffer;
+    let view = document.getElementById('audioView')?.value || 'waveform';
+    if (!isSingleSystem() || !ptObj || !audioBuffer || view === 'none') {
+        drawTempoPanel(); // with breaks, redraws the timing below the systems
+        return;
+    }
+    let yTop = yMx + (ptObj.querySelector('.pianoRoll') ? rollHeight : 0);
+    let width = scoreWarper.svgWidth;
+    // audio time at screen x, through the time axis of the performance panel
+    let audioTime = (x) => scoreWarper.svg2time(scoreWarper.screen2svg(x), 0) + player.offset;
+    let step = (view === 'spectrogram') ? Math.max(1, Math.ceil(width / maxColumns)) : 1; // screen pixels per column
+
+    const g = document.createElementNS(svgNS, 'g');
+    g.setAttribute('class', 'audioPanel');
+    ptObj.appendChild(g);
+    drawAudioView(g, view, AudioFeatures.mono(audioBuffer), audioBuffer.sampleRate,
+        (column) => audioTime(column * step), Math.ceil(width / step), 0, step, yTop, audioHeight);
+    drawTempoPanel();
+} // drawAudioPanel()
+
+/**
+ * Draws a recording as waveform or as log-frequency spectrogram into a node, in columns
+ * of equal width from left to right, e.g. one per screen pixel
+ * @param {Element} node - the parent node
+ * @param {string} view - 'waveform' or 'spectrogram'
+ * @param {Float32Array} samples - mono samples
+ * @param {number} sampleRate - in Hz
+ * @param {Function} timeAt - audio time in seconds at a (fractional) column index
+ * @param {number} columns - number of columns
+ * @param {number} xLeft - x of the first column
+ * @param {number} columnWidth - width of a column
+ * @param {number} yTop - y of the top of the view
+ * @param {number} height - height of the view in screen pixels (spectrogram bands)
+ * @param {number} unit - size of a screen pixel in the units of the node
+ */
+function drawAudioView(node, view, samples, sampleRate, timeAt, columns, xLeft, columnWidth, yTop, height, unit = 1) {
+    if (view === 'spectrogram') {
+        let times = Array.from({ length: columns }, (v, i) => timeAt(i + 0.5));
+        let spectrogram = AudioFeatures.spectrogram(samples, sampleRate, times, { bands: height });
+        let maxDb = Math.max(...spectrogram.map((frame) => Math.max(...frame)));
+        let canvas = document.createElement('canvas');
+        canvas.width = columns;
+        canvas.height = height;
+        let context = canvas.getContext('2d');
+        let image = context.createImageData(columns, height);
+        spectrogram.forEach((frame, i) => {
+            frame.forEach((db, band) => {
+                let level = Math.min(Math.max((db - maxDb + 80) / 80, 0), 1); // 80 dB range
+                let pixel = ((height - 1 - band) * columns + i) * 4; // low bands at the bottom
+                image.data.fill(Math.round(255 * (1 - level)), pixel, pixel + 3);
+                image.data[pixel + 3] = 255;
+            });
+        });
+        context.putImageData(image, 0, 0);
+        const img = document.createElementNS(svgNS, 'image');
+        img.setAttribute('href', canvas.toDataURL());
+        img.setAttribute('x', xLeft);
+        img.setAttribute('y', yTop);
+        img.setAttribute('width', columns * columnWidth);
+        img.setAttribute('height', height * unit);
+        img.setAttribute('preserveAspectRatio', 'none');
+        node.appendChild(img);
+    } else {
+        let peaks = AudioFeatures.waveform(samples, sampleRate,
+            Array.from({ length: columns + 1 }, (v, i) => timeAt(i)));
+        let scale = (height / 2 - 2) * unit / Math.max(...peaks.map(([min, max]) => Math.max(-min, max)), 1e-6);
+        let yCentre = yTop + height * unit / 2;
+        const path = document.createElementNS(svgNS, 'path');
+        path.setAttribute('d', peaks.map(([min, max], i) =>
+            'M' + (xLeft + (i + 0.5) * columnWidth) + ' ' + (yCentre - max * scale).toFixed(1) +
+            'V' + (yCentre - min * scale + 0.5 * unit).toFixed(1)).join(''));
+        path.setAttribute('stroke', 'gray');
+        path.setAttribute('stroke-width', unit);
+        node.appendChild(path);
+    }
+} // drawAudioView()
+
+/**
+ * Draws the loaded recording in the time span of a system into the score, below its time axis
+ * (and piano roll) and on the same x axis, from its first note to its right edge, as waveform
+ * or spectrogram (as selected in the audio view dropdown), shifted by the playback offset.
+ * The drawing is kept per system and reused while the recording, view and offset are
+ * unchanged, as the system timing is redrawn in every frame of the warp animation.
+ * @param {Element} node - the parent node
+ * @param {ScoreWarper} sw - the score warper of the page
+ * @param {Object} system - the system
+ * @param {number} yTop - y of the top of the view (SVG units)
+ * @param {number} maxColumns - maximal number of spectrogram frames of the system
+ * @returns {boolean} whether the recording was drawn
+ */
+function drawSystemAudio(node, sw, system, yTop, maxColumns = 500) {
+    let audioBuffer = player?.audioBuffer;
+    let view = document.getElementById('audioView')?.value || 'waveform';
+    if (!audioBuffer || view === 'none') {
+        return false;
+    }
+    let key = [view, player.offset, yTop].join();
+    let cached = systemAudioCache.get(system);
+    if (!cached || cached.audioBuffer !== audioBuffer || cached.key !== key) {
+        let unit = sw.svgViewBox[2] / sw.svgWidth; // size of a screen pixel in SVG units
+        let width = Math.max(Math.ceil((system.rightSVGX - system.fstSVGX) / unit), 1); // screen pixels
+        let step = (view === 'spectrogram') ? Math.max(1, Math.ceil(width / maxColumns)) : 1;
+        let timeAt = (column) => sw.svg2time(system.fstSVGX + column * step * unit, system) + player.offset;
+        const g = document.createElementNS(svgNS, 'g');
+        g.setAttribute('class', 'systemAudio');
+        drawAudioView(g, view, AudioFeatures.mono(audioBuffer), audioBuffer.sampleRate, timeAt,
+            Math.ceil(width / step), system.fstSVGX, step * unit, yTop, systemCurveHeight, unit);
+        cached = { audioBuffer: audioBuffer, key: key, g: g };
+        systemAudioCache.set(system, cached);
+    }
+    node.appendChild(cached.g);
+    return true;
+} // drawSystemAudio()
+
+/**
+ * Draws the tempo curve of the performance (see ScoreWarper.tempoCurve()) below the audio panel
+ * of the performance panel, per beat or bar as selected in the tempo dropdown: the tempo of each
+ * segment as gray step and the smoothed tempo as green line, on the time axis of the warped score,
+ * and the dynamics curve below it. With system or page breaks, the curve is drawn below the
+ * time axis of each system instead (see drawSystemTempo()).
+ */
+function drawTempoPanel() {
+    if (!isSingleSystem()) {
+        drawDynamicsPanel(); // redraws the curves below the systems
+        return;
+    }
+    let ptObj = document.querySelector('.performanceTime');
+    ptObj?.querySelectorAll('.tempoPanel').forEach(item => item.remove());
+    let unit = document.getElementById('tempoUnit')?.value || 'none';
+    let curve = (ptObj && unit !== 'none') ? getTempoCurve() : [];
+    let tempos = curve.flatMap((segment) => [segment.bpm, segment.smoothedBpm]).filter((bpm) => bpm !== null);
+    if (tempos.length === 0) {
+        drawDynamicsPanel();
+        return;
+    }
+    let yTop = yMx + (ptObj.querySelector('.pianoRoll') ? rollHeight : 0) +
+        (ptObj.querySelector('.audioPanel') ? audioHeight : 0);
+    let [minBpm, maxBpm] = [Math.min(...tempos), Math.max(...tempos)];
+    let y = (bpm) => yTop + tempoHeight - 10 - (bpm - minBpm) / Math.max(maxBpm - minBpm, 1) * (tempoHeight - 25);
+    let x = (t) => scoreWarper.time2screen(t);
+
+    const g = document.createElementNS(svgNS, 'g');
+    g.setAttribute('class', 'tempoPanel');
+    ptObj.appendChild(g);
+    drawTempoCurve(g, curve, [minBpm, maxBpm], x, y, [0, scoreWarper.svgWidth], 2);
+    drawDynamicsPanel();
+} // drawTempoPanel()
+
+/**
+ * Draws a tempo curve (see ScoreWarper.tempoCurve()) into a node: guide lines at the lowest
+ * and highest tempo, the tempo of each segment as gray step (with measure, beat and tempo
+ * as title) and the smoothed tempo as green line
+ * @param {Element} node - the parent node
+ * @param {Array[Object]} segments - the segments of the curve
+ * @param {Array[number]} bpmRange - [lowest, highest] tempo
+ * @param {Function} x - x of a time in seconds
+ * @param {Function} y - y of a tempo in beats per minute
+ * @param {Array[number]} xRange - [left, right] x of the guide lines
+ * @param {number} labelX - x of the labels of the guide lines, ending there if left of the lines
+ * @param {number} unit - size of a screen pixel in the units of the node
+ */
+function drawTempoCurve(node, segments, bpmRange, x, y, xRange, labelX, unit = 1) {
+    let unitName = document.getElementById('tempoUnit')?.value;
+    let outside = labelX < xRange[0];
+    bpmRange.forEach((bpm) => {
+        addLine(node, xRange[0], xRange[1], y(bpm), y(bpm), 'lightgray', unit);
+        addText(node, bpm.toFixed(0) + ' bpm', labelX, y(bpm) + (outside ? 3 : -2) * unit,
+            outside ? 'end' : 'start', 'gray', 9 * unit);
+    });
+    segments.filter((segment) => segment.bpm !== null).forEach((segment) => {
+        let line = addLine(node, x(segment.onset), x(segment.offset), y(segment.bpm), y(segment.bpm), 'gray', 2 * unit);
+        const title = document.createElementNS(svgNS, 'title');
+        title.textContent = 'Measure ' + (segment.n ?? segment.measure) + ', ' + unitName + ' ' + segment.beat + ': ' +
+            segment.bpm.toFixed(1) + ' bpm' + (segment.smoothedBpm !== null ? ' (smoothed ' + segment.smoothedBpm.toFixed(1) + ')' : '');
+        line.appendChild(title);
+    });
+    const path = document.createElementNS(svgNS, 'path');
+    path.setAttribute('d', segments.filter((segment) => segment.smoothedBpm !== null).map((segment, k) =>
+        (k ? 'L' : 'M') + x((segment.onset + segment.offset) / 2).toFixed(1) + ' ' + y(segment.smoothedBpm).toFixed(1)).join(''));
+    path.setAttribute('fill', 'none');
+    path.setAttribute('stroke', 'seagreen');
+    path.setAttribute('stroke-width', 1.5 * unit);
+    node.appendChild(path);
+} // drawTempoCurve()
+
+/**
+ * Returns the tempo curve of the loaded maps with the unit (beat or bar) and smoothing window
+ * of the tempo inputs (see ScoreWarper.tempoCurve()), or an empty array if there is none.
+ * The curve is computed once per maps, repeat pass and inputs, as the system timing
+ * is redrawn in every frame of the warp animation.
+ * @returns {Array[Object]}
+ */
+function getTempoCurve() {
+    if (!scoreWarper?.maps) {
+        return [];
+    }
+    let unit = document.getElementById('tempoUnit')?.value;
+    let options = {
+        unit: ScoreWarper.tempoUnits.includes(unit) ? unit : 'beat',
+        window: parseInt(document.getElementById('tempoWindow')?.value) || 1
+    };
+    let cached = tempoCurveCache;
+    if (cached?.sw === scoreWarper && cached.maps === scoreWarper.maps && cached.repeatPass === scoreWarper.repeatPass &&
+        cached.unit === options.unit && cached.window === options.window) {
+        return cached.curve;
+    }
+    try {
+        let curve = scoreWarper.tempoCurve(scoreWarper.maps, options);
+        tempoCurveCache = { sw: scoreWarper, maps: scoreWarper.maps, repeatPass: scoreWarper.repeatPass, ...options, curve: curve };
+        return curve;
+    } catch (error) {
+        console.error(error);
+        return [];
+    }
+} // getTempoCurve()
+
+/**
+ * Downloads the tempo curve of the loaded maps as CSV file (see ScoreWarper.tempoCSV())
+ */
+function downloadTempoCSV() {
+    let curve = getTempoCurve();
+    if (curve.length === 0) {
+        console.info('Please load a performance to compute its tempo curve.');
+        return;
+    }
+    let a = document.getElementById("downloadLink");
+    a.href = URL.createObjectURL(new Blob([ScoreWarper.tempoCSV(curve)], { type: 'text/csv' }));
+    let perfName = perfSel?.value || mapsFileName.replace(/^.*\//, '').replace(/\.[^.]*$/, '') || 'performance';
+    a.download = (pieceSel?.value || 'score') + '_' + perfName + '_tempo.csv';
+    a.click();
+} // downloadTempoCSV()
+
+/**
+ * Draws the dynamics of the performance at the bottom of the performance panel, if selected in
+ * the checkbox: the velocity of the loudest performed note of each event and staff (see
+ * ScoreWarper.noteVelocities()) as one line per staff, on the time axis of the warped score.
+ * Hovering a point highlights its note in the score. With system or page breaks, the curves
+ * are drawn below the time axis of each system instead (see drawSystemDynamics()).
+ */
+function drawDynamicsPanel() {
+    if (!isSingleSystem()) {
+        if (scoreWarper?.maps) {
+            drawAllSystemTiming();
+        }
+        return;
+    }
+    let ptObj = document.querySelector('.performanceTime');
+    ptObj?.querySelectorAll('.dynamicsPanel').forEach(item => item.remove());
+    let show = document.getElementById('dynamicsCurve')?.checked;
+    if (!ptObj) {
+        return;
+    }
+    let notes = [];
+    if (show && scoreWarper?.maps) {
+        try {
+            notes = scoreWarper.noteVelocities();
+        } catch (error) {
+            console.error(error);
+        }
+    }
+    if (notes.length === 0) {
+        ptObj.setAttribute('height', performancePanelHeight(ptObj));
+        return;
+    }
+    let yTop = yMx + (ptObj.querySelector('.pianoRoll') ? rollHeight : 0) +
+        (ptObj.querySelector('.audioPanel') ? audioHeight : 0) + (ptObj.querySelector('.tempoPanel') ? tempoHeight : 0);
+    let y = (velocity) => yTop + dynamicsHeight - 10 - velocity / 127 * (dynamicsHeight - 20);
+    let x = (t) => scoreWarper.time2screen(t);
+
+    const g = document.createElementNS(svgNS, 'g');
+    g.setAttribute('class', 'dynamicsPanel');
+    ptObj.appendChild(g);
+    [[32, 'pp'], [64, 'mf'], [96, 'ff']].forEach(([velocity, marking]) => {
+        addLine(g, 0, scoreWarper.svgWidth, y(velocity), y(velocity), 'lightgray');
+        addText(g, marking + ' (' + velocity + ')', 2, y(velocity) - 2, 'start', 'gray', 9);
+    });
+    let staves = drawVelocityCurves(g, notes, x, y);
+    staves.forEach((staff, s) => {
+        addText(g, 'Staff ' + staff, scoreWarper.svgWidth - 2 - 45 * (staves.length - 1 - s), yTop + 10, 'end',
+            staffColors[s % staffColors.length], 9);
+    });
+    ptObj.setAttribute('height', performancePanelHeight(ptObj));
+} // drawDynamicsPanel()
+
+/**
+ * Draws the velocities of performed notes (see ScoreWarper.noteVelocities()) into a node:
+ * the loudest note of each event and staff, as one line per staff with a point per note.
+ * Hovering a point highlights its note in the score.
+ * @param {Element} node - the parent node
+ * @param {Array[Object]} notes - the note velocities
+ * @param {Function} x - x of a time in seconds
+ * @param {Function} y - y of a velocity
+ * @param {number} unit - size of a screen pixel in the units of the node
+ * @returns {Array[number]} the staves, in the order of their colours (see staffColors)
+ */
+function drawVelocityCurves(node, notes, x, y, unit = 1) {
+    let staves = [...new Set(notes.map((note) => note.staff))].sort((a, b) => a - b);
+    staves.forEach((staff, s) => {
+        let color = staffColors[s % staffColors.length];
+        let loudest = new Map(); // maps index -> loudest note of the staff
+        notes.filter((note) => note.staff === staff).forEach((note) => {
+            if (!loudest.has(note.mapsIdx) || loudest.get(note.mapsIdx).velocity < note.velocity) {
+                loudest.set(note.mapsIdx, note);
+            }
+        });
+        let points = [...loudest.values()].sort((a, b) => a.onset - b.onset);
+        const path = document.createElementNS(svgNS, 'path');
+        path.setAttribute('d', points.map((note, k) =>
+            (k ? 'L' : 'M') + x(note.onset).toFixed(1) + ' ' + y(note.velocity).toFixed(1)).join(''));
+        path.setAttribute('fill', 'none');
+        path.setAttribute('stroke', color);
+        path.setAttribute('stroke-width', 1.5 * unit);
+        node.appendChild(path);
+        points.forEach((note) => {
+            let circle = addCircle(node, x(note.onset), y(note.velocity), 2.5 * unit, color);
+            circle.setAttribute('fill', color);
+            circle.setAttribute('data-note', note.id);
+            const title = document.createElementNS(svgNS, 'title');
+            title.textContent = 'Staff ' + staff + ', ' + note.onset.toFixed(3) + ' s, velocity ' + note.velocity + ', ' + note.id;
+            circle.appendChild(title);
+        });
+    });
+    node.addEventListener('mouseover', (e) => highlightScoreNote(e.target.getAttribute('data-note'), true));
+    node.addEventListener('mouseout', (e) => highlightScoreNote(e.target.getAttribute('data-note'), false));
+    return staves;
+} // drawVelocityCurves()
+
+/**
+ * Returns the height of the performance panel with the piano roll, audio, tempo and dynamics panels, if drawn
+ * @param {Element} ptObj - the performance panel SVG
+ * @returns {number}
+ */
+function performancePanelHeight(ptObj) {
+    return yMx + (ptObj.querySelector('.pianoRoll') ? rollHeight : 0) +
+        (ptObj.querySelector('.audioPanel') ? audioHeight : 0) +
+        (ptObj.querySelector('.tempoPanel') ? tempoHeight : 0) +
+        (ptObj.querySelector('.dynamicsPanel') ? dynamicsHeight : 0);
+} // performancePanelHeight()
+
+/**
+ * Aligns the notes of the performance MIDI file to the score notes of the maps file:
+ * each performed score note is matched to the nearest unmatched MIDI note of the same
+ * pitch (from the Verovio toolkit) within a tolerance of its event onset
+ * @param {Array[Object]} notes - MIDI notes {pitch, onset, ...}
+ * @param {number} tolerance - maximal distance of onsets in seconds
+ * @returns {Array[string]} rendered id of the aligned score note (or null), parallel to notes
+ */
+function alignMidiNotes(notes, tolerance = 0.25) {
+    let alignedIds = notes.map(() => null);
+    let notesByPitch = new Map(); // pitch -> indices of notes
+    notes.forEach((note, j) => {
+        if (!notesByPitch.has(note.pitch)) notesByPitch.set(note.pitch, []);
+        notesByPitch.get(note.pitch).push(j);
+    });
+    let maps = scoreWarper.maps ?? [];
+    maps.forEach((item, i) => {
+        if (i < scoreWarper.firstOnsetIdx(maps) || i > scoreWarper.lastOnsetIdx(maps)) {
+            return;
+        }
+        (scoreWarper.renderedIds[i] ?? []).forEach((id) => {
+            let pitch = id ? tk.getMIDIValuesForElement(id)?.pitch : undefined;
+            let distance = (j) => Math.abs(notes[j].onset - item.obs_mean_onset);
+            let best = (notesByPitch.get(pitch) ?? [])
+                .filter((j) => alignedIds[j] === null && distance(j) <= tolerance)
+                .reduce((a, b) => (a === undefined || distance(b) < distance(a)) ? b : a, undefined);
+            if (best !== undefined) {
+                alignedIds[best] = id;
+            }
+        });
+    });
+    return alignedIds;
+} // alignMidiNotes()
+
+/**
+ * Highlights a note in the score (e.g., while hovering its note in the piano roll)
+ * @param {string} id - rendered id of the note
+ * @param {boolean} highlight - true to highlight, false to remove the highlight
+ */
+function highlightScoreNote(id, highlight = true) {
+    if (!id) {
+        return;
+    }
+    scoreWarpers.forEach((sw) => sw.getElementForId(id)?.classList.toggle('highlighted', highlight));
+} // highlightScoreNote()
+
+/**
+ * Returns the name of a MIDI pitch, e.g. 'C#4' for 61
+ * @param {number} pitch
+ * @returns {string}
+ */
+function pitchName(pitch) {
+    const names = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+    return names[pitch % 12] + (Math.floor(pitch / 12) - 1);
+} // pitchName()
+
+/**
+ * Returns the performance player, created on first use with the offset of the offset input
+ * @returns {PerformancePlayer}
+ */
+function getPlayer() {
+    player ??= new PerformancePlayer({
+        onTime: (t) => drawPlayCursor(t),
+        onEnd: () => removePlayCursor(),
+        offset: parseFloat(document.getElementById('playbackOffset')?.value) || 0
+    });
+    return player;
+} // getPlayer()
+
+/**
+ * Loads a local audio file of the performance (any format the browser decodes,
+ * e.g. WAV, MP3, OGG) for playback and draws it into the performance panel
+ * @param {File} file
+ */
+function loadAudioFile(file) {
+    if (!file) {
+        return;
+    }
+    console.info("loadAudioFile " + file.name);
+    file.arrayBuffer()
+        .then((buffer) => getPlayer().loadAudio(buffer))
+        .then(() => drawAudioPanel())
+        .catch((error) => {
+            console.error(error);
+            alert('Cannot load ' + file.name + ': ' + error.message);
+        });
+} // loadAudioFile()
+
+/**
+ * Stops playback and forgets the audio file of the previous performance
+ */
+function clearAudioFile() {
+    stopPlayback();
+    player?.unload();
+    let audioInput = document.getElementById('audioFile');
+    if (audioInput) {
+        audioInput.value = '';
+    }
+    drawAudioPanel();
+} // clearAudioFile()
+
+/**
+ * Starts or pauses playback of the audio file or, if no audio file is loaded,
+ * of the performance MIDI file
+ */
+function togglePlayback() {
+    let p = getPlayer();
+    if (p.playing) {
+        p.pause();
+        return;
+    }
+    if (p.source !== 'audio' && performanceMidi) {
+        p.loadMidiNotes(performanceMidi.notes);
+    }
+    if (!p.source) {
+        console.info('Please load an audio file or the performance MIDI file first.');
+        return;
+    }
+    p.play();
+} // togglePlayback()
+
+/**
+ * Stops playback and removes the cursor, the next playback starts at the beginning
+ */
+function stopPlayback() {
+    if (!player) {
+        return;
+    }
+    player.pause();
+    player.seek(0);
+    removePlayCursor();
+} // stopPlayback()
+
+/**
+ * Sets the audio time at maps time zero, from the offset input, and redraws the audio panel
+ * @param {number|string} offset - in seconds
+ */
+function updatePlaybackOffset(offset) {
+    getPlayer().offset = offset;
+    drawAudioPanel();
+} // updatePlaybackOffset()
+
+/**
+ * Draws the playback cursor at time t into the performance panel and into the system
+ * of the score played at t (in its current layout, engraved, warped or in between),
+ * and highlights the sounding notes in the score
+ * @param {number} t - maps time in seconds
+ */
+function drawPlayCursor(t) {
+    removePlayCursor();
+
+    // performance panel (single line layout)
+    let ptObj = document.querySelector('.performanceTime');
+    if (ptObj && isSingleSystem()) {
+        let x = scoreWarper.time2screen(t, 0);
+        let line = addLine(ptObj, x, x, 0, parseFloat(ptObj.getAttribute('height')) || yMx, 'crimson', 2);
+        line.setAttribute('class', 'playCursor');
+    }
+
+    // score: the last system starting before t, or the first system
+    let cursorSw = scoreWarper;
+    let cursorSystem = scoreWarper?.systems?.[0];
+    scoreWarpers.forEach((sw) => {
+        sw.systems.forEach((system) => {
+            if (system.tmn <= t && system.tmn >= (cursorSystem?.tmn ?? -Infinity)) {
+                [cursorSw, cursorSystem] = [sw, system];
+            }
+        });
+    });
+    if (cursorSystem) {
+        let unit = cursorSw.svgViewBox[2] / cursorSw.svgWidth; // size of a screen pixel in SVG units
+        let x = cursorSw.time2layout(t, cursorSystem);
+        let bbox = cursorSystem.element.getBBox();
+        let line = addLine(cursorSw.svgObj.querySelector('.page-margin'), x, x,
+            bbox.y - 10 * unit, bbox.y + bbox.height + 10 * unit, 'crimson', 2 * unit);
+        line.setAttribute('class', 'playCursor');
+    }
+
+    // sounding notes: aligned MIDI notes, or the notes of the last performed maps event
+    let ids = [];
+    if (performanceMidi && midiAlignedIds.length > 0) {
+        performanceMidi.notes.forEach((note, i) => {
+            if (midiAlignedIds[i] && note.onset <= t && t < note.offset) {
+                ids.push(midiAlignedIds[i]);
+            }
+        });
+    } else if (scoreWarper?.maps) {
+        let maps = scoreWarper.maps;
+        let last = -1;
+        maps.forEach((item, i) => {
+            if (i >= scoreWarper.firstOnsetIdx(maps) && i <= scoreWarper.lastOnsetIdx(maps) &&
+                item.obs_mean_onset <= t && (last < 0 || item.obs_mean_onset >= maps[last].obs_mean_onset)) {
+                last = i;
+            }
+        });
+        ids = (last >= 0) ? (scoreWarper.renderedIds[last] ?? []) : [];
+    }
+    ids.forEach((id) => {
+        scoreWarpers.forEach((sw) => sw.getElementForId(id)?.classList.add('playing'));
+    });
+} // drawPlayCursor()
+
+/**
+ * Redraws the playback cursor at the current playback time, if playing or paused,
+ * e.g. after the layout of the score has changed
+ */
+function redrawPlayCursor() {
+    if (player && (player.playing || player.currentTime !== 0)) {
+        drawPlayCursor(player.currentTime);
+    }
+} // redrawPlayCursor()
+
+/**
+ * Removes the playback cursor and the highlights of the sounding notes
+ */
+function removePlayCursor() {
+    document.querySelectorAll('.playCursor').forEach(item => item.remove());
+    document.querySelectorAll('.playing').forEach(item => item.classList.remove('playing'));
+} // removePlayCursor()
+
+/**
+ * Seeks playback to the time shown at the clicked position of a system of the score
+ * (in its current layout), if an audio file or the performance MIDI is loaded
+ * @param {MouseEvent} e
+ */
+function seekInScore(e) {
+    let systemElement = e.target.closest?.('.system');
+    if (!systemElement || !(player?.source || performanceMidi)) {
+        return;
+    }
+    scoreWarpers.forEach((sw) => {
+        let system = sw.systems.find((item) => item.element === systemElement);
+        if (system) {
+            let point = sw.svgObj.createSVGPoint();
+            point.x = e.clientX;
+            point.y = e.clientY;
+            let x = point.matrixTransform(sw.svgObj.querySelector('.page-margin').getScreenCTM().inverse()).x;
+            getPlayer().seek(sw.layout2time(x, system));
+        }
+    });
+} // seekInScore()
+
+/**
+ * Seeks playback to the time at the clicked position of the performance panel,
+ * if an audio file or the performance MIDI is loaded
+ * @param {MouseEvent} e
+ */
+function seekInPerformance(e) {
+    let ptObj = e.target.closest?.('.performanceTime');
+    if (!ptObj || !(player?.source || performanceMidi)) {
+        return;
+    }
+    let x = e.clientX - ptObj.getBoundingClientRect().left;
+    getPlayer().seek(scoreWarper.svg2time(scoreWarper.screen2svg(x), 0));
+} // seekInPerformance()
+
+/**
+ * Lists the performances of a demo piece in the comparison selection and forgets
+ * the performances compared before
+ * @param {string} pieceName - key of demoFiles
+ */
+function updateComparisonOptions(pieceName) {
+    comparisonMaps = [];
+    let comparisonSel = document.getElementById('comparison');
+    if (!comparisonSel) {
+        return;
+    }
+    comparisonSel.length = 0;
+    for (let name in demoFiles[pieceName]?.performances ?? {}) {
+        comparisonSel.options[comparisonSel.options.length] = new Option(name, name);
+    }
+} // updateComparisonOptions()
+
+/**
+ * Loads the maps files of the performances selected in the comparison selection
+ * and draws their timelines
+ */
+function updateComparison() {
+    let comparisonSel = document.getElementById('comparison');
+    let performances = demoFiles[pieceSel?.value]?.performances ?? {};
+    let names = Array.from(comparisonSel.selectedOptions).map((option) => option.value);
+    console.info('updateComparison: ', names);
+    Promise.all(names.map((name) => fetch(performances[name])
+        .then((response) => response.text())
+        .then((text) => ({ name: name, maps: MapsImporter.import(text, performances[name]) }))))
+        .then((loaded) => {
+            comparisonMaps = loaded;
+            drawComparison();
+        })
+        .catch((error) => {
+            console.error(error);
+            let panel = document.getElementById('comparisonPanel');
+            panel.innerHTML = '<p class="error"><b>Error:</b> </p>';
+            panel.querySelector('.error').append(error.message ?? String(error));
+        });
+} // updateComparison()
+
+/**
+ * Draws the onset timelines of the compared performances stacked below the performance panel,
+ * one row per performance in its own colour: connector lines from the engraved score notes
+ * to the performed onsets, with a longer tick at the first event of each measure, and gray lines
+ * joining the first events of each measure in neighbouring rows. With 'normalised' time
+ * (comparison time dropdown), all performances span from the first to the last note;
+ * with 'absolute' time, they start together and take their duration in seconds on a common scale.
+ * With system or page breaks, the panel offers to switch to the single line layout instead.
+ */
+function drawComparison() {
+    let panel = document.getElementById('comparisonPanel');
+    if (!panel) {
+        return;
+    }
+    panel.innerHTML = '';
+    if (comparisonMaps.length === 0 || !scoreWarper) {
+        return;
+    }
+    if (!isSingleSystem()) {
+        panel.innerHTML = '<p>The performance comparison is drawn in the single line layout only. ' +
+            '<button onclick="showSingleLine()">Single line layout</button></p>';
+        return;
+    }
+    const colors = ['purple', 'darkorange', 'seagreen', 'royalblue', 'crimson', 'saddlebrown',
+        'darkcyan', 'olive', 'deeppink', 'slategray', 'darkgoldenrod', 'indigo'];
+    let rowHeight = 60;
+    let absolute = document.getElementById('comparisonTime')?.value === 'absolute';
+    let rows = comparisonMaps.map(({ name, maps }) => {
+        let events = scoreWarper.eventPositions(maps).sort((a, b) => a.x - b.x || a.onset - b.onset);
+        let onsets = events.map((event) => event.onset);
+        return { name: name, events: events, start: Math.min(...onsets), end: Math.max(...onsets) };
+    }).filter((row) => row.events.length > 0);
+    if (rows.length === 0) {
+        panel.innerHTML = '<p>No notes of the compared performances found in the score.</p>';
+        return;
+    }
+
+    // common x range of the first and last notes, and time scale
+    let xStart = scoreWarper.svg2screen(Math.min(...rows.map((row) => row.events[0].x)));
+    let xEnd = scoreWarper.svg2screen(Math.max(...rows.map((row) => row.events[row.events.length - 1].x)));
+    let maxDuration = Math.max(...rows.map((row) => row.end - row.start));
+    let toScreen = (row, t) => xStart + (xEnd - xStart) * (t - row.start) /
+        ((absolute ? maxDuration : row.end - row.start) || 1);
+
+    let ptObj = createScoreTimeSVG(scoreWarper.svgWidth, rows.length * rowHeight + (absolute ? 24 : 4));
+    ptObj.setAttribute('class', 'comparison');
+    panel.appendChild(ptObj);
+    let downbeats = new Map(); // measure element -> x of its first event in each row
+    rows.forEach((row, k) => {
+        let color = colors[k % colors.length];
+        let yTop = k * rowHeight + 14;
+        let yTick = (k + 1) * rowHeight - 8;
+        const g = document.createElementNS(svgNS, 'g');
+        g.setAttribute('class', 'comparisonRow');
+        ptObj.appendChild(g);
+        addText(g, row.name, 2, yTop - 4, 'start', color);
+        let lastMeasure = null;
+        row.events.forEach((event) => {
+            let x = toScreen(row, event.onset);
+            let measure = event.note.closest('.measure');
+            let isDownbeat = measure !== lastMeasure;
+            lastMeasure = measure;
+            addLine(g, scoreWarper.svg2screen(event.x), x, yTop, yTick, color, 0.5).setAttribute('stroke-opacity', 0.6);
+            addLine(g, x, x, yTick, yTick + (isDownbeat ? 8 : 4), color, isDownbeat ? 2 : 1);
+            if (isDownbeat && measure) {
+                if (!downbeats.has(measure)) downbeats.set(measure, []);
+                downbeats.get(measure)[k] = x;
+            }
+        });
+    });
+
+    // join the first events of each measure in neighbouring rows
+    downbeats.forEach((xs, measure) => {
+        for (let k = 1; k < rows.length; k++) {
+            if (xs[k - 1] !== undefined && xs[k] !== undefined) {
+                addLine(ptObj, xs[k - 1], xs[k], k * rowHeight, (k + 1) * rowHeight - 8, 'gray', 1)
+                    .setAttribute('stroke-dasharray', '2 2');
+            }
+        }
+    });
+
+    // time axis in seconds from the common start
+    if (absolute) {
+        let y = rows.length * rowHeight + 6;
+        let step = (maxDuration > 60) ? 10 : (maxDuration > 20) ? 5 : 1;
+        addLine(ptObj, xStart, xEnd, y, y, 'black', 1);
+        for (let t = 0; t <= maxDuration; t += step) {
+            let x = xStart + (xEnd - xStart) * t / (maxDuration || 1);
+            addLine(ptObj, x, x, y, y + 4, 'black', 1);
+            addText(ptObj, t, x, y + 15, 'middle', 'black');
+        }
+    }
+} // drawComparison()
+
+/**
+ * Shows the validation report of the maps file against all pages of the score
+ * (see ScoreWarper.validateMaps()) in the maps report panel
+ * @param {Object} maps
+ * @param {number} maxEntries - maximal number of entries listed per category
+ */
+function showMapsReport(maps, maxEntries = 50) {
+    let report = ScoreWarper.mergeMapsReports(scoreWarpers.map((sw) => sw.validateMaps(maps)));
+    console.info('Maps report: ', report);
+    let seconds = (t) => (t === null) ? '-' : t.toFixed(3);
+    let categories = [
+        ['notInScore', 'ids not in the score', (entry) => entry.index + ': ' + entry.id],
+        ['notInMaps', 'score notes not in the maps', (id) => id],
+        ['duplicates', 'ids in several events', (entry) => entry.id + ' (' + entry.indices.join(', ') + ')'],
+        ['orderViolations', 'events against score order', (entry) => entry.index + ': ' + entry.id + ' at ' +
+            seconds(entry.onset) + ' s, expected ' + seconds(entry.expectedAfter) + '..' + seconds(entry.expectedBefore) + ' s'],
+        ['inserted', 'inserted notes', (entry) => entry.index + ': ' + entry.id + ' at ' + seconds(entry.onset) + ' s'],
+        ['deleted', 'deleted notes', (entry) => entry.index + ': ' + entry.id],
+        ['invalidOnsets', 'events without onset', (entry) => entry.index + ': ' + entry.onset]
+    ];
+    let reportDiv = document.getElementById("mapsReport");
+    reportDiv.innerHTML = '<p><b>Maps file:</b> ' + report.entries + ' entries, ' +
+        report.scoreNotes + ' notes in the score.</p>';
+    categories.forEach(([key, label, format]) => {
+        let entries = report[key];
+        let details = document.createElement('details');
+        let summary = document.createElement('summary');
+        summary.textContent = entries.length + ' ' + label;
+        details.appendChild(summary);
+        if (entries.length > 0) {
+            let p = document.createElement('p');
+            p.textContent = entries.slice(0, maxEntries).map(format).join('; ') +
+                (entries.length > maxEntries ? '; ...' : '');
+            details.appendChild(p);
+        } else {
+            details.classList.add('empty');
+        }
+        reportDiv.appendChild(details);
+    });
+} // showMapsReport()
+
 // Create SVG for score time plotting
 function createScoreTimeSVG(width, height) {
     const stSVG = document.createElementNS(svgNS, 'svg');
@@ -360,39 +1959,51 @@ function createScoreTimeSVG(width, height) {
  * @param {boolean} toScreen - if true, the time axis will be drawn in screen coordinates
  * @param {number} y - the y-coordinate of the time axis
  * @param {string} color - the color of the time axis
+ * @param {Object} system - if given, the time axis covers only the time span of this system
+ * @param {ScoreWarper} sw - the score warper object (default: first page)
  */
-function drawTimeAxis(node, toScreen = true, y = y0basis, color = "black") {
+function drawTimeAxis(node, toScreen = true, y = y0basis, color = "black", system = undefined, sw = scoreWarper) {
     const g = document.createElementNS(svgNS, 'g'); // time axis in notation
     g.setAttribute('class', 'timeAxis');
     node.appendChild(g);
+    let unit = (toScreen) ? 1 : sw.svgViewBox[2] / sw.svgWidth; // size of a screen pixel
     let tickIncr = 1; // seconds
     let numbIncr = 10; // seconds
-    let lastTick = Math.ceil(scoreWarper.tmx / numbIncr) * numbIncr;
-    let s, s2;
+    let firstTick = 0;
+    let lastTick = Math.ceil(sw.tmx / numbIncr) * numbIncr;
+    if (system) {
+        firstTick = Math.ceil(system.tmn / tickIncr) * tickIncr;
+        lastTick = Math.floor(system.tmx / tickIncr) * tickIncr;
+    }
+    let x = (t) => (toScreen) ? sw.time2screen(t, system) : sw.time2svg(t, system);
     // draw tick lines and horizontal axis and label
-    for (let t = 0; t <= lastTick; t += tickIncr) {
-        (toScreen) ? s = scoreWarper.time2screen(t) : s = scoreWarper.time2svg(t);
+    for (let t = firstTick; t <= lastTick; t += tickIncr) {
+        let s = x(t);
         if (Math.round(t / numbIncr) == t / numbIncr) {
-            addLine(g, s, s, y, y + 4, color, 1); // longer tick line
+            addLine(g, s, s, y, y + 4 * unit, color, unit); // longer tick line
         } else {
-            addLine(g, s, s, y, y + 2, color, 1); // short tick line
+            addLine(g, s, s, y, y + 2 * unit, color, unit); // short tick line
         }
-        if (t == 0) { // draw horizontal axis and axis label
-            (toScreen) ? s2 = scoreWarper.time2screen(lastTick) : scoreWarper.time2svg(lastTick);
-            addLine(g, s, s2, y, y, color, 1);
-            addText(g, 'Time (s)', 1, y - 4, "left", color);
+        if (t == firstTick) { // draw horizontal axis and axis label
+            addLine(g, s, x(lastTick), y, y, color, unit);
+            if (!system) {
+                addText(g, 'Time (s)', 1, y - 4, "left", color);
+            }
         }
     }
-    // draw tick label numbers
-    for (let t = 0; t <= lastTick; t += numbIncr) {
-        (toScreen) ? s = scoreWarper.time2screen(t) : s = scoreWarper.time2svg(t);
-        addText(g, t, s, y + 13, 'middle', color);
+    // draw tick label numbers (for systems, also the first tick)
+    for (let t = firstTick; t <= lastTick; t += tickIncr) {
+        if (Math.round(t / numbIncr) == t / numbIncr || (system && t == firstTick)) {
+            addText(g, t, x(t), y + 13 * unit, 'middle', color, 10.5 * unit);
+        }
     }
 } // drawTimeAxis()
 
 function updateMeiFile(fileName = "") {
     meiFileName = fileName;
     console.info("updateMEIfile " + meiFileName);
+    clearMidiFile();
+    clearAudioFile();
     clearAllLines();
     loadMEI();
 } // updateMeiFile()
@@ -400,19 +2011,56 @@ function updateMeiFile(fileName = "") {
 function updateMapsFile(fileName = "") {
     mapsFileName = fileName;
     console.info("updateMapsFile " + mapsFileName);
-    clearAllLines();
-    if (warped) {
-        loadMEI(false);
-    }
     fetch(mapsFileName)
-        .then(response => response.json())
-        .then(json => {
-            // set maps object in scoreWarper
-            loadPerformanceTiming(json);
-        });
-    console.info('updateMapsFile maps: ', scoreWarper.maps);
+        .then(response => response.text())
+        .then(text => loadAlignment(text, mapsFileName));
 } // updateMapsFile()
 
+/**
+ * Loads a local alignment file selected in the file input
+ * @param {File} file
+ */
+function loadAlignmentFile(file) {
+    if (!file) {
+        return;
+    }
+    mapsFileName = file.name;
+    console.info("loadAlignmentFile " + mapsFileName);
+    clearMidiFile();
+    clearAudioFile();
+    file.text().then(text => loadAlignment(text, mapsFileName));
+} // loadAlignmentFile()
+
+/**
+ * Imports alignment file content of any format supported by MapsImporter
+ * (maps, Verovio timemap or anchors JSON, corresp, match, CSV, Sonic Visualiser, Audacity labels)
+ * and loads it as maps, re-warping the score if it is warped. Import errors are shown in the maps report panel.
+ * @param {string} text - file content
+ * @param {string} fileName - for format detection and error messages
+ */
+function loadAlignment(text, fileName = '') {
+    let reportDiv = document.getElementById("mapsReport");
+    reportDiv.innerHTML = "";
+    stopWarpAnimation();
+    clearAllLines();
+    let rewarp = isWarped(); // warp the score to the new performance, if warped
+    let maps;
+    try {
+        maps = MapsImporter.import(text, fileName);
+    } catch (error) {
+        console.error(error);
+        reportDiv.innerHTML = '<p class="error"><b>Error:</b> </p>';
+        reportDiv.querySelector('.error').append(error.message);
+        return;
+    }
+    // set maps object in scoreWarper (unwarps the score)
+    loadPerformanceTiming(maps);
+    if (rewarp) {
+        warp();
+    }
+    console.info('loadAlignment maps: ', scoreWarper.maps);
+} // loadAlignment()
+
 window.onload = function () {
     pieceSel = document.getElementById("piece");
     perfSel = document.getElementById("performance");
@@ -429,12 +2077,15 @@ window.onload = function () {
         for (var y in demoFiles[this.value].performances) {
             perfSel.options[perfSel.options.length] = new Option(y, y);
         }
+        updateComparisonOptions(pieceName);
         updateMeiFile(pieceFile);
     }
     perfSel.onchange = function () {
         let performanceName = this.value;
         let mapsFile = demoFiles[pieceSel.value].performances[this.value];
         console.info("Performance: " + performanceName + ', mapsFile:' + mapsFile);
+        clearMidiFile();
+        clearAudioFile();
         updateMapsFile(mapsFile);
     }
 } // window.onload()
@@ -442,25 +2093,26 @@ window.onload = function () {
 // creates SVG blob and downloads it
 function downloadSVG(savePerformance = false) {
     let svgName = '';
-    if (scoreWarper.svgObj) {
-        let svg = new XMLSerializer().serializeToString(scoreWarper.svgObj);
-        let type = "image/svg+xml";
-        let a = document.getElementById("downloadLink");
-        var file = new Blob([svg], {
-            type: type
-        });
-        a.href = URL.createObjectURL(file);
-        if (!warped && pieceSel && pieceSel.value) {
-            svgName = pieceSel.value;
+    if (!isWarped() && pieceSel && pieceSel.value) {
+        svgName = pieceSel.value;
+    }
+    if (isWarped() && pieceSel && pieceSel.value && perfSel && perfSel.value) {
+        svgName = pieceSel.value + '_' + perfSel.value;
+    }
+    scoreWarpers.forEach((sw, i) => {
+        if (sw.svgObj) {
+            let svg = new XMLSerializer().serializeToString(sw.svgObj);
+            let type = "image/svg+xml";
+            let a = document.getElementById("downloadLink");
+            var file = new Blob([svg], {
+                type: type
+            });
+            a.href = URL.createObjectURL(file);
             // a.innerHTML = "Download SVG";
+            a.download = (scoreWarpers.length > 1) ? svgName + '_p' + (i + 1) : svgName;
+            a.click();
         }
-        if (warped && pieceSel && pieceSel.value && perfSel && perfSel.value) {
-            svgName = pieceSel.value + '_' + perfSel.value;
-            // a.innerHTML = "Download Warped SVG";
-        }
-        a.download = svgName;
-        a.click();
-    }
+    });
     let performanceSVG = document.getElementById('performanceTime').querySelector('svg');
     if (savePerformance && performanceSVG) {
         let svg = new XMLSerializer().serializeToString(performanceSVG)
@@ -488,6 +2140,16 @@ function addLine(node, x1, x2, y1, y2, color = "black", strokeWidth = 1) {
     return node.appendChild(line);
 } // addLine()
 
+function addRect(node, x, y, width, height, color = "black") {
+    const rect = document.createElementNS(svgNS, 'rect');
+    rect.setAttribute('x', x);
+    rect.setAttribute('y', y);
+    rect.setAttribute('width', width);
+    rect.setAttribute('height', height);
+    rect.setAttribute('fill', color);
+    return node.appendChild(rect);
+} // addRect()
+
 function addCircle(node, cx, cy, r, color = "black", strokeWidth = 1) {
     const circle = document.createElementNS(svgNS, 'circle');
     circle.setAttribute('cx', cx);
@@ -498,11 +2160,11 @@ function addCircle(node, cx, cy, r, color = "black", strokeWidth = 1) {
     return node.appendChild(circle);
 } // addCircle()
 
-function addText(node, text, x, y, halign = "middle", color = "black") {
+function addText(node, text, x, y, halign = "middle", color = "black", fontSize = 10.5) {
     let txt = document.createElementNS(svgNS, 'text');
     txt.setAttribute('text-anchor', halign);
     txt.setAttribute('font-family', 'Arial, Helvetica, sans-serif');
-    txt.setAttribute('font-size', 10.5);
+    txt.setAttribute('font-size', fontSize);
     txt.setAttribute('fill', color);
     txt.setAttribute('x', x);
     txt.setAttribute('y', y);
@@ -0,0 +1,503 @@
+/**
+ * @file mapsImporter.js
+ * @description
+ * Converts alignments of performances to scores into the maps format used by ScoreWarper:
+ * an array of events {obs_mean_onset, xml_id, velocity, confidence, obs_num} sorted by onset,
+ * with the notes that were not performed (deleted) in a first event at onset -1 and the
+ * performed notes without score note (inserted) as 'trompa-align_inserted_<pitch>' events
+ * at the end. Supported formats are maps JSON, Verovio timemap JSON (with performed times),
+ * Nakamura corresp and match text files, and CSV note lists with a header line.
+ * Sparse anchors (bar or beat times, as JSON, Sonic Visualiser instants CSV or Audacity labels)
+ * become events with an anchor {measure, beat} instead of notes (see ScoreWarper.loadMaps()).
+ */
+class MapsImporter {
+    //#region Import
+
+    /**
+     * Returns the supported alignment formats
+     * @returns {Array[string]}
+     */
+    static get formats() {
+        return ['maps', 'timemap', 'corresp', 'match', 'csv', 'anchors', 'sv', 'audacity'];
+    } // get formats()
+
+    /**
+     * Returns the file name extensions of alignment files
+     * @returns {Array[string]}
+     */
+    static get fileExtensions() {
+        return ['.json', '.txt', '.csv'];
+    } // get fileExtensions()
+
+    /**
+     * Detects the format of alignment file content from its content, using the file name
+     * only to tell corresp from match files without header
+     * @param {string|Object} content file text or parsed JSON
+     * @param {string} fileName (optional) for hints and error messages
+     * @returns {string} one of formats
+     */
+    static detectFormat(content, fileName = '') {
+        if (typeof content === 'string' && /^\s*[[{]/.test(content)) {
+            content = MapsImporter.#parseJSON(content, fileName);
+        }
+        if (typeof content !== 'string') {
+            let first = Array.isArray(content) ? content.find((item) => item && typeof item === 'object') : null;
+            if (first && 'obs_mean_onset' in first) {
+                return 'maps';
+            } else if (first && 'tstamp' in first) {
+                return 'timemap';
+            } else if (first && 'time' in first && 'measure' in first) {
+                return 'anchors';
+            }
+            throw MapsImporter.#error(fileName, 'JSON is neither a maps array (entries with obs_mean_onset), ' +
+                'a Verovio timemap (entries with tstamp) nor anchors (entries with time and measure)');
+        }
+
+        let lines = content.split(/\r?\n/).filter((line) => line.trim());
+        let comments = lines.filter((line) => line.startsWith('//'));
+        let data = lines.filter((line) => !line.startsWith('//'));
+        if (comments.some((line) => /alignID|refID/.test(line))) {
+            return 'corresp';
+        } else if (comments.some((line) => line.startsWith('//Missing'))) {
+            return 'match';
+        } else if (data.length > 0 && MapsImporter.#csvDelimiter(data[0])) {
+            return 'csv';
+        } else if (data.length > 0 && data.every((line) => /^\s*-?[\d.]+\t-?[\d.]+(\t[^\t]*)?$/.test(line) ||
+            line.startsWith('\\'))) {
+            return 'audacity';
+        } else if (data.length > 0 && data.every((line, i) => /^\s*-?[\d.]+\s*(,[^,]*){0,2}$/.test(line) ||
+            (i === 0 && data.length > 1))) { // optional header
+            return 'sv';
+        } else if (comments.length > 0 || data.length > 0) {
+            let fields = data[0]?.trim().split(/\s+/).length ?? 0;
+            if (/corresp/i.test(fileName) || fields === 10) {
+                return 'corresp';
+            } else if (/match/i.test(fileName) || fields === 11 || fields === 12) {
+                return 'match';
+            }
+        }
+        throw MapsImporter.#error(fileName, 'unknown alignment format, expected maps, Verovio timemap or ' +
+            'anchors JSON, Nakamura corresp or match text, CSV with a header line, Sonic Visualiser CSV ' +
+            'or Audacity labels');
+    } // detectFormat()
+
+    /**
+     * Converts alignment file content of any supported format to maps
+     * @param {string|Object} content file text or parsed JSON
+     * @param {string} fileName (optional) for format detection and error messages
+     * @param {string} format (optional) one of formats, detected if empty
+     * @returns {Array[Object]} maps
+     */
+    static import(content, fileName = '', format = null) {
+        format = format || MapsImporter.detectFormat(content, fileName);
+        if (!MapsImporter.formats.includes(format)) {
+            throw MapsImporter.#error(fileName, 'unknown format ' + format + ', use one of ' +
+                MapsImporter.formats.join(', '));
+        }
+        if (['maps', 'timemap', 'anchors'].includes(format) && typeof content === 'string') {
+            content = MapsImporter.#parseJSON(content, fileName);
+        }
+        console.debug('MapsImporter: importing ' + (fileName || 'alignment') + ' as ' + format);
+        switch (format) {
+            case 'maps':
+                return MapsImporter.fromMaps(content, fileName);
+            case 'timemap':
+                return MapsImporter.fromTimemap(content, fileName);
+            case 'corresp':
+                return MapsImporter.fromCorresp(content, fileName);
+            case 'match':
+                return MapsImporter.fromMatch(content, fileName);
+            case 'csv':
+                return MapsImporter.fromCsv(content, fileName);
+            case 'anchors':
+                return MapsImporter.fromAnchors(content, fileName);
+            case 'sv':
+                return MapsImporter.fromSonicVisualiser(content, fileName);
+            case 'audacity':
+                return MapsImporter.fromAudacity(content, fileName);
+        }
+    } // import()
+
+    /**
+     * Checks maps content and completes missing velocity, confidence and obs_num fields
+     * @param {Array[Object]} maps
+     * @param {string} fileName (optional) for error messages
+     * @returns {Array[Object]} maps
+     */
+    static fromMaps(maps, fileName = '') {
+        if (!Array.isArray(maps) || maps.length === 0) {
+            throw MapsImporter.#error(fileName, 'maps must be a non-empty array');
+        }
+        return maps.map((item, i) => {
+            if (typeof item?.obs_mean_onset !== 'number') {
+                throw MapsImporter.#error(fileName, 'entry ' + i + ' has no numeric obs_mean_onset');
+            }
+            let ids = Array.isArray(item.xml_id) ? item.xml_id : [item.xml_id].filter((id) => id);
+            return {
+                ...item,
+                xml_id: ids,
+                velocity: Array.isArray(item.velocity) ? item.velocity : ids.map(() => item.velocity ?? null),
+                confidence: item.confidence ?? 0,
+                obs_num: item.obs_num ?? i + 1
+            };
+        });
+    } // fromMaps()
+
+    /**
+     * Converts a Verovio timemap (see toolkit.renderToTimemap()) with performed times
+     * in tstamp (milliseconds): every entry with notes in 'on' becomes an event.
+     * Velocities are unknown (null).
+     * @param {Array[Object]} timemap
+     * @param {string} fileName (optional) for error messages
+     * @returns {Array[Object]} maps
+     */
+    static fromTimemap(timemap, fileName = '') {
+        if (!Array.isArray(timemap)) {
+            throw MapsImporter.#error(fileName, 'timemap must be an array');
+        }
+        let notes = [];
+        timemap.forEach((entry, i) => {
+            if (typeof entry?.tstamp !== 'number') {
+                throw MapsImporter.#error(fileName, 'timemap entry ' + i + ' has no numeric tstamp');
+            }
+            (entry.on ?? []).forEach((id) => {
+                notes.push({ id: id, onset: entry.tstamp / 1000, velocity: null, scoreTime: i });
+            });
+        });
+        return MapsImporter.#maps(notes, fileName);
+    } // fromTimemap()
+
+    /**
+     * Converts a Nakamura corresp file (tab-separated alignID, alignOntime, alignSitch,
+     * alignPitch, alignOnvel, refID, refOntime, refSitch, refPitch, refOnvel; '*' for
+     * notes without counterpart). Notes with the same score time form an event.
+     * @param {string} text
+     * @param {string} fileName (optional) for error messages
+     * @returns {Array[Object]} maps
+     */
+    static fromCorresp(text, fileName = '') {
+        let notes = [];
+        MapsImporter.#dataLines(text).forEach(([line, n]) => {
+            let fields = line.trim().split(/\s+/);
+            if (fields.length < 10) {
+                throw MapsImporter.#error(fileName, 'line ' + n + ': expected 10 corresp fields, found ' + fields.length);
+            }
+            let [alignId, alignOnset, alignSitch, , alignVelocity, refId, refOnset] = fields;
+            if (alignId === '*') {
+                notes.push({ id: refId, onset: null }); // deleted
+            } else {
+                notes.push({
+                    id: (refId === '*') ? null : refId,
+                    onset: MapsImporter.#number(alignOnset, fileName, n, 'onset'),
+                    velocity: MapsImporter.#number(alignVelocity, fileName, n, 'velocity'),
+                    pitch: alignSitch,
+                    scoreTime: (refId === '*') ? undefined : refOnset
+                });
+            }
+        });
+        return MapsImporter.#maps(notes, fileName);
+    } // fromCorresp()
+
+    /**
+     * Converts a Nakamura match file (ID, onset, offset, spelled pitch, onset velocity,
+     * offset velocity, channel, match status, score time, note ID, error index, skip index;
+     * '*' as note ID of extra notes, '//Missing <score time> <note ID>' lines for missing notes).
+     * Notes with the same score time form an event.
+     * @param {string} text
+     * @param {string} fileName (optional) for error messages
+     * @returns {Array[Object]} maps
+     */
+    static fromMatch(text, fileName = '') {
+        let notes = [];
+        text.split(/\r?\n/).forEach((line) => {
+            if (line.startsWith('//Missing')) {
+                let fields = line.trim().split(/\s+/);
+                notes.push({ id: fields[fields.length - 1], onset: null }); // deleted
+            }
+        });
+        MapsImporter.#dataLines(text).forEach(([line, n]) => {
+            let fields = line.trim().split(/\s+/);
+            if (fields.length < 10) {
+                throw MapsImporter.#error(fileName, 'line ' + n + ': expected 10 to 12 match fields, found ' + fields.length);
+            }
+            let [, onset, , sitch, velocity, , , , scoreTime, noteId] = fields;
+            notes.push({
+                id: (noteId === '*') ? null : noteId,
+                onset: MapsImporter.#number(onset, fileName, n, 'onset'),
+                velocity: MapsImporter.#number(velocity, fileName, n, 'velocity'),
+                pitch: sitch,
+                scoreTime: (noteId === '*') ? undefined : scoreTime
+            });
+        });
+        return MapsImporter.#maps(notes, fileName);
+    } // fromMatch()
+
+    /**
+     * Converts a CSV note list with a header line, separated by commas, semicolons or tabs.
+     * Columns (case-insensitive): onset (or obs_mean_onset, time, onset_time) in seconds,
+     * xml_id (or id, note_id; several ids separated by spaces), and optionally velocity,
+     * confidence, pitch and score_time (notes with the same score time form an event,
+     * otherwise notes with the same onset). Rows without id are inserted notes,
+     * rows without onset deleted notes.
+     * @param {string} text
+     * @param {string} fileName (optional) for error messages
+     * @returns {Array[Object]} maps
+     */
+    static fromCsv(text, fileName = '') {
+        let lines = text.split(/\r?\n/).map((line, i) => [line, i + 1]).filter(([line]) => line.trim());
+        let delimiter = MapsImporter.#csvDelimiter(lines[0]?.[0] ?? '');
+        if (!delimiter) {
+            throw MapsImporter.#error(fileName, 'CSV header needs an onset and an xml_id column');
+        }
+        let split = (line) => line.split(delimiter).map((field) => field.trim().replace(/^"(.*)"$/, '$1'));
+        let header = split(lines[0][0]).map((name) => name.toLowerCase());
+        let column = (names) => header.findIndex((name) => names.includes(name));
+        let columns = {
+            onset: column(MapsImporter.#csvColumns.onset),
+            id: column(MapsImporter.#csvColumns.id),
+            velocity: column(MapsImporter.#csvColumns.velocity),
+            confidence: column(MapsImporter.#csvColumns.confidence),
+            pitch: column(MapsImporter.#csvColumns.pitch),
+            scoreTime: column(MapsImporter.#csvColumns.scoreTime)
+        };
+        let notes = [];
+        lines.slice(1).forEach(([line, n]) => {
+            let fields = split(line);
+            let value = (key) => (columns[key] >= 0) ? (fields[columns[key]] ?? '') : '';
+            let ids = value('id').split(/\s+/).filter((id) => id);
+            let onset = value('onset') ? MapsImporter.#number(value('onset'), fileName, n, 'onset') : null;
+            let note = {
+                onset: onset,
+                velocity: value('velocity') ? MapsImporter.#number(value('velocity'), fileName, n, 'velocity') : null,
+                confidence: value('confidence') ? MapsImporter.#number(value('confidence'), fileName, n, 'confidence') : undefined,
+                pitch: value('pitch') || undefined,
+                scoreTime: value('scoreTime') || undefined
+            };
+            if (ids.length === 0 && onset === null) {
+                throw MapsImporter.#error(fileName, 'line ' + n + ': neither onset nor xml_id');
+            }
+            (ids.length > 0 ? ids : [null]).forEach((id) => notes.push({ ...note, id: id }));
+        });
+        return MapsImporter.#maps(notes, fileName);
+    } // fromCsv()
+
+    /**
+     * Converts sparse anchors [{time, measure, beat}] (time in seconds, measure id or number,
+     * beat 1 for the downbeat, fractions allowed, default 1) to maps events with an anchor
+     * instead of notes, e.g. bar or beat times from beat tracking or annotation
+     * @param {Array[Object]} anchors
+     * @param {string} fileName (optional) for error messages
+     * @returns {Array[Object]} maps
+     */
+    static fromAnchors(anchors, fileName = '') {
+        if (!Array.isArray(anchors) || anchors.length === 0) {
+            throw MapsImporter.#error(fileName, 'anchors must be a non-empty array');
+        }
+        let maps = anchors.map((anchor, i) => {
+            if (typeof anchor?.time !== 'number' || anchor.measure === undefined || anchor.measure === '') {
+                throw MapsImporter.#error(fileName, 'anchor ' + i + ' needs a numeric time and a measure');
+            }
+            return {
+                obs_mean_onset: MapsImporter.#round(anchor.time),
+                xml_id: [],
+                velocity: [],
+                confidence: anchor.confidence ?? 0,
+                anchor: { measure: anchor.measure, beat: anchor.beat ?? 1 }
+            };
+        }).sort((a, b) => a.obs_mean_onset - b.obs_mean_onset);
+        return maps.map((item, i) => ({ ...item, obs_num: i + 1 }));
+    } // fromAnchors()
+
+    /**
+     * Converts a Sonic Visualiser time instants layer exported as CSV (time, optional value,
+     * label; optional header line) to anchors, see labelAnchors()
+     * @param {string} text
+     * @param {string} fileName (optional) for error messages
+     * @returns {Array[Object]} maps
+     */
+    static fromSonicVisualiser(text, fileName = '') {
+        let lines = MapsImporter.#dataLines(text);
+        if (lines.length > 0 && isNaN(parseFloat(lines[0][0]))) {
+            lines.shift(); // header
+        }
+        return MapsImporter.labelAnchors(lines.map(([line, n]) => {
+            let fields = line.split(',').map((field) => field.trim().replace(/^"(.*)"$/, '$1'));
+            return {
+                time: MapsImporter.#number(fields[0], fileName, n, 'time'),
+                label: (fields.length > 1) ? fields[fields.length - 1] : ''
+            };
+        }), fileName);
+    } // fromSonicVisualiser()
+
+    /**
+     * Converts an Audacity label track export (tab-separated start, end, label; spectral
+     * selection lines starting with '\' are skipped) to anchors at the label starts,
+     * see labelAnchors()
+     * @param {string} text
+     * @param {string} fileName (optional) for error messages
+     * @returns {Array[Object]} maps
+     */
+    static fromAudacity(text, fileName = '') {
+        let lines = MapsImporter.#dataLines(text).filter(([line]) => !line.startsWith('\\'));
+        return MapsImporter.labelAnchors(lines.map(([line, n]) => {
+            let fields = line.split('\t');
+            return {
+                time: MapsImporter.#number(fields[0], fileName, n, 'time'),
+                label: (fields[2] ?? '').trim()
+            };
+        }), fileName);
+    } // fromAudacity()
+
+    /**
+     * Converts labelled time instants [{time, label}] to anchors: labels '<measure>' (downbeat),
+     * '<measure>.<beat>', '<measure>:<beat>' or '<measure> <beat>', where measure is a measure
+     * number or id. If no instant is labelled, the instants are taken as downbeats of
+     * measures 1, 2, 3, ...
+     * @param {Array[Object]} instants
+     * @param {string} fileName (optional) for error messages
+     * @returns {Array[Object]} maps
+     */
+    static labelAnchors(instants, fileName = '') {
+        let labelled = instants.some((instant) => instant.label);
+        return MapsImporter.fromAnchors(instants.filter((instant) => !labelled || instant.label).map((instant, i) => {
+            if (!labelled) {
+                return { time: instant.time, measure: i + 1, beat: 1 };
+            }
+            let [, measure, beat] = instant.label.match(/^(.+?)(?:[.:\s]+(\d+(?:\.\d+)?))?$/);
+            return { time: instant.time, measure: measure, beat: beat ? parseFloat(beat) : 1 };
+        }), fileName);
+    } // labelAnchors()
+
+    //#endregion Import
+
+
+
+    //#region Helpers
+
+    // accepted CSV column names (lower case)
+    static #csvColumns = {
+        onset: ['onset', 'obs_mean_onset', 'onset_time', 'time'],
+        id: ['xml_id', 'xml:id', 'id', 'note_id'],
+        velocity: ['velocity', 'vel'],
+        confidence: ['confidence'],
+        pitch: ['pitch', 'sitch'],
+        scoreTime: ['score_time', 'score_onset']
+    };
+
+    /**
+     * Returns the delimiter of a CSV header line with an onset and an id column, or null
+     * @param {string} line
+     * @returns {string|null}
+     */
+    static #csvDelimiter(line) {
+        return [',', ';', '\t'].find((delimiter) => {
+            let names = line.split(delimiter).map((name) => name.trim().replace(/^"(.*)"$/, '$1').toLowerCase());
+            return names.some((name) => MapsImporter.#csvColumns.onset.includes(name)) &&
+                names.some((name) => MapsImporter.#csvColumns.id.includes(name));
+        }) ?? null;
+    } // csvDelimiter()
+
+    /**
+     * Returns the non-empty lines that are not comments ('//'), with their line numbers
+     * @param {string} text
+     * @returns {Array} [line, line number] pairs
+     */
+    static #dataLines(text) {
+        return text.split(/\r?\n/)
+            .map((line, i) => [line, i + 1])
+            .filter(([line]) => line.trim() && !line.startsWith('//'));
+    } // dataLines()
+
+    /**
+     * Returns an import error with the file name
+     * @param {string} fileName
+     * @param {string} message
+     * @returns {Error}
+     */
+    static #error(fileName, message) {
+        return new Error('Cannot import ' + (fileName || 'alignment') + ': ' + message + '.');
+    } // error()
+
+    /**
+     * Builds maps from a list of notes {id, onset, velocity, confidence, pitch, scoreTime}:
+     * performed notes (id and onset) are grouped into events by score time (or by onset,
+     * if the score time is unknown), deleted notes (no onset) form the first event at -1,
+     * inserted notes (no id) are appended as events of their own
+     * @param {Array[Object]} notes
+     * @param {string} fileName
+     * @returns {Array[Object]} maps
+     */
+    static #maps(notes, fileName) {
+        let groups = new Map(); // score time or onset -> notes
+        notes.filter((note) => note.id !== null && note.onset !== null).forEach((note) => {
+            let key = (note.scoreTime !== undefined) ? 's' + note.scoreTime : 'o' + note.onset;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(note);
+        });
+        if (groups.size === 0) {
+            throw MapsImporter.#error(fileName, 'no performed score notes found');
+        }
+        let mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+        let event = (group) => ({
+            obs_mean_onset: MapsImporter.#round(mean(group.map((note) => note.onset))),
+            xml_id: group.map((note) => note.id),
+            velocity: group.map((note) => note.velocity ?? null),
+            confidence: mean(group.map((note) => note.confidence ?? 0))
+        });
+        let deleted = notes.filter((note) => note.onset === null);
+        let inserted = notes.filter((note) => note.id === null)
+            .sort((a, b) => a.onset - b.onset)
+            .map((note) => event([{ ...note, id: 'trompa-align_inserted_' + (note.pitch ?? 'note') }]));
+        let maps = [
+            { obs_mean_onset: -1, xml_id: deleted.map((note) => note.id), velocity: deleted.map(() => -1), confidence: 0 },
+            ...Array.from(groups.values()).map(event).sort((a, b) => a.obs_mean_onset - b.obs_mean_onset),
+            ...inserted
+        ];
+        return maps.map((item, i) => ({ ...item, obs_num: i + 1 }));
+    } // maps()
+
+    /**
+     * Parses a number field, throwing an import error with the line number if invalid
+     * @param {string} field
+     * @param {string} fileName
+     * @param {number} n line number
+     * @param {string} name field name
+     * @returns {number}
+     */
+    static #number(field, fileName, n, name) {
+        let value = parseFloat(field);
+        if (isNaN(value)) {
+            throw MapsImporter.#error(fileName, 'line ' + n + ': invalid ' + name + ' ' + field);
+        }
+        return value;
+    } // number()
+
+    /**
+     * Parses JSON text, throwing an import error if invalid
+     * @param {string} text
+     * @param {string} fileName
+     * @returns {Object}
+     */
+    static #parseJSON(text, fileName) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw MapsImporter.#error(fileName, 'invalid JSON (' + error.message + ')');
+        }
+    } // parseJSON()
+
+    /**
+     * Rounds seconds to 0.1 milliseconds, as in maps files
+     * @param {number} value
+     * @returns {number}
+     */
+    static #round(value) {
+        return Math.round(value * 10000) / 10000;
+    } // round()
+
+    //#endregion Helpers
+} // MapsImporter class
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MapsImporter;
+}
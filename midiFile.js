@@ -0,0 +1,262 @@
+/**
+ * @file midiFile.js
+ * @description
+ * Reads a Standard MIDI File (format 0 or 1), e.g. the performance MIDI file a maps file
+ * was derived from, into notes with onset and offset times in seconds (following the
+ * tempo changes of the file), pitch, velocity and channel, and the sustain pedal
+ * (controller 64) as time spans per channel.
+ */
+class MidiFile {
+    /**
+     * @param {ArrayBuffer|Uint8Array} buffer content of the MIDI file
+     */
+    constructor(buffer) {
+        this._data = (buffer instanceof Uint8Array) ? buffer : new Uint8Array(buffer);
+        this._format = 0;
+        this._division = 480; // ticks per quarter note, or SMPTE frames per second and ticks per frame
+        this._notes = []; // {pitch, velocity, channel, track, onset, offset}
+        this._pedals = []; // {channel, onset, offset}
+        this._duration = 0; // end of the last event in seconds
+        this.#parse();
+    } // constructor()
+
+    //#region Getters
+
+    /**
+     * Get the duration of the file in seconds
+     */
+    get duration() {
+        return this._duration;
+    } // get duration()
+
+    /**
+     * Get the format of the file (0: single track, 1: several tracks)
+     */
+    get format() {
+        return this._format;
+    } // get format()
+
+    /**
+     * Get the notes sorted by onset: {pitch, velocity, channel, track, onset, offset},
+     * times in seconds
+     */
+    get notes() {
+        return this._notes;
+    } // get notes()
+
+    /**
+     * Get the time spans of the pressed sustain pedal, sorted by onset: {channel, onset, offset}
+     */
+    get pedals() {
+        return this._pedals;
+    } // get pedals()
+
+    //#endregion Getters
+
+
+
+    //#region Parsing
+
+    /**
+     * Reads the header and all tracks, then converts ticks to seconds
+     */
+    #parse() {
+        let reader = { pos: 0 };
+        if (this.#readString(reader, 4) !== 'MThd') {
+            throw new Error('MidiFile: not a Standard MIDI File (MThd header missing).');
+        }
+        let headerLength = this.#readUint(reader, 4);
+        this._format = this.#readUint(reader, 2);
+        let trackCount = this.#readUint(reader, 2);
+        this._division = this.#readUint(reader, 2);
+        reader.pos = 8 + headerLength;
+        if (this._format > 1) {
+            throw new Error('MidiFile: format ' + this._format + ' (independent sequences) not supported.');
+        }
+
+        let events = []; // {tick, track, type, ...}
+        for (let track = 0; track < trackCount && reader.pos < this._data.length; track++) {
+            if (this.#readString(reader, 4) !== 'MTrk') {
+                throw new Error('MidiFile: track ' + track + ' has no MTrk header.');
+            }
+            let end = reader.pos + 4 + this.#readUint(reader, 4);
+            events.push(...this.#readTrack(reader, end, track));
+            reader.pos = end;
+        }
+        events.sort((a, b) => a.tick - b.tick);
+        let seconds = this.#tickConverter(events.filter((event) => event.type === 'tempo'));
+
+        // pair note on and off events (first on, first off), and pedal down and up
+        let sounding = new Map(); // channel/pitch -> notes without offset
+        let pedalDown = new Map(); // channel -> pedal without offset
+        let lastTick = 0;
+        events.forEach((event) => {
+            lastTick = Math.max(lastTick, event.tick);
+            let time = seconds(event.tick);
+            if (event.type === 'noteOn') {
+                let note = {
+                    pitch: event.pitch,
+                    velocity: event.velocity,
+                    channel: event.channel,
+                    track: event.track,
+                    onset: time,
+                    offset: null
+                };
+                let key = event.channel + '/' + event.pitch;
+                if (!sounding.has(key)) sounding.set(key, []);
+                sounding.get(key).push(note);
+                this._notes.push(note);
+            } else if (event.type === 'noteOff') {
+                let note = sounding.get(event.channel + '/' + event.pitch)?.shift();
+                if (note) {
+                    note.offset = time;
+                }
+            } else if (event.type === 'pedal') {
+                let pedal = pedalDown.get(event.channel);
+                if (event.value >= 64 && !pedal) {
+                    pedal = { channel: event.channel, onset: time, offset: null };
+                    pedalDown.set(event.channel, pedal);
+                    this._pedals.push(pedal);
+                } else if (event.value < 64 && pedal) {
+                    pedal.offset = time;
+                    pedalDown.delete(event.channel);
+                }
+            }
+        });
+
+        // notes and pedals still on at the end of the file end there
+        this._duration = seconds(lastTick);
+        this._notes.forEach((note) => note.offset ??= this._duration);
+        this._pedals.forEach((pedal) => pedal.offset ??= this._duration);
+        this._notes.sort((a, b) => a.onset - b.onset || a.pitch - b.pitch);
+        console.debug('MidiFile: ' + this._notes.length + ' notes, ' + this._pedals.length +
+            ' pedals, ' + this._duration.toFixed(3) + ' s.');
+    } // parse()
+
+    /**
+     * Reads the events of a track that are needed for notes, pedals and timing
+     * @param {Object} reader {pos}
+     * @param {number} end position after the track
+     * @param {number} track index of the track
+     * @returns {Array[Object]} events {tick, track, type, ...}
+     */
+    #readTrack(reader, end, track) {
+        let events = [];
+        let tick = 0;
+        let runningStatus = 0; // status of the last channel message
+        while (reader.pos < end) {
+            tick += this.#readVarLen(reader);
+            let status = this._data[reader.pos];
+            if (status & 0x80) {
+                reader.pos++;
+            } else if (runningStatus) {
+                status = runningStatus;
+            } else {
+                throw new Error('MidiFile: data byte without status in track ' + track + ' at byte ' + reader.pos + '.');
+            }
+            if (status === 0xFF) { // meta event
+                let type = this._data[reader.pos++];
+                let length = this.#readVarLen(reader);
+                let dataEnd = reader.pos + length;
+                if (type === 0x51 && length === 3) { // set tempo
+                    events.push({ tick: tick, track: track, type: 'tempo', usPerQuarter: this.#readUint(reader, 3) });
+                }
+                reader.pos = dataEnd;
+            } else if (status === 0xF0 || status === 0xF7) { // system exclusive
+                let length = this.#readVarLen(reader);
+                reader.pos += length;
+            } else {
+                runningStatus = status;
+                let type = status & 0xF0;
+                let channel = status & 0x0F;
+                let data1 = this._data[reader.pos++];
+                let data2 = (type === 0xC0 || type === 0xD0) ? 0 : this._data[reader.pos++];
+                if (type === 0x90 && data2 > 0) {
+                    events.push({ tick: tick, track: track, type: 'noteOn', channel: channel, pitch: data1, velocity: data2 });
+                } else if (type === 0x80 || type === 0x90) {
+                    events.push({ tick: tick, track: track, type: 'noteOff', channel: channel, pitch: data1 });
+                } else if (type === 0xB0 && data1 === 64) {
+                    events.push({ tick: tick, track: track, type: 'pedal', channel: channel, value: data2 });
+                }
+            }
+        }
+        return events;
+    } // readTrack()
+
+    /**
+     * Returns a function that converts ticks to seconds, following the tempo changes
+     * (default 120 bpm) or SMPTE time division
+     * @param {Array[Object]} tempos tempo events sorted by tick
+     * @returns {Function} tick => seconds
+     */
+    #tickConverter(tempos) {
+        if (this._division & 0x8000) { // SMPTE: frames per second and ticks per frame
+            let framesPerSecond = 256 - (this._division >> 8);
+            let ticksPerSecond = framesPerSecond * (this._division & 0xFF);
+            return (tick) => tick / ticksPerSecond;
+        }
+        let segments = [{ tick: 0, time: 0, usPerQuarter: 500000 }];
+        tempos.forEach((tempo) => {
+            let last = segments[segments.length - 1];
+            let time = last.time + (tempo.tick - last.tick) * last.usPerQuarter / this._division / 1e6;
+            segments.push({ tick: tempo.tick, time: time, usPerQuarter: tempo.usPerQuarter });
+        });
+        return (tick) => {
+            let segment = segments.findLast((item) => item.tick <= tick);
+            return segment.time + (tick - segment.tick) * segment.usPerQuarter / this._division / 1e6;
+        };
+    } // tickConverter()
+
+    //#endregion Parsing
+
+
+
+    //#region Helpers
+
+    /**
+     * Reads an ASCII string of the given length
+     * @param {Object} reader {pos}
+     * @param {number} length
+     * @returns {string}
+     */
+    #readString(reader, length) {
+        let text = String.fromCharCode(...this._data.subarray(reader.pos, reader.pos + length));
+        reader.pos += length;
+        return text;
+    } // readString()
+
+    /**
+     * Reads a big-endian unsigned integer of the given number of bytes
+     * @param {Object} reader {pos}
+     * @param {number} bytes
+     * @returns {number}
+     */
+    #readUint(reader, bytes) {
+        let value = 0;
+        for (let i = 0; i < bytes; i++) {
+            value = value * 256 + (this._data[reader.pos++] ?? 0);
+        }
+        return value;
+    } // readUint()
+
+    /**
+     * Reads a variable-length quantity (7 bits per byte, high bit set on all but the last)
+     * @param {Object} reader {pos}
+     * @returns {number}
+     */
+    #readVarLen(reader) {
+        let value = 0;
+        let byte;
+        do {
+            byte = this._data[reader.pos++] ?? 0;
+            value = value * 128 + (byte & 0x7F);
+        } while (byte & 0x80);
+        return value;
+    } // readVarLen()
+
+    //#endregion Helpers
+} // MidiFile class
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MidiFile;
+}
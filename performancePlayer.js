@@ -0,0 +1,291 @@
+/**
+ * @file performancePlayer.js
+ * @description
+ * Plays a performance with the Web Audio API, either a recording (any format the browser
+ * decodes, e.g. WAV, MP3, OGG) or the notes of the performance MIDI file (see MidiFile)
+ * with a simple synthesizer, and reports the playback time in the time of the maps file.
+ * The offset is the audio time at maps time zero, for recordings that start earlier
+ * (positive offset) or later (negative offset) than the aligned performance.
+ */
+class PerformancePlayer {
+    /**
+     * @param {Object} options {onTime: function called with the maps time at every animation
+     * frame while playing and after seeking; onEnd: function called when playback ends;
+     * offset: audio time at maps time zero in seconds, defaults to 0}
+     */
+    constructor(options = {}) {
+        this._context = null; // AudioContext, created on first use (after a user gesture)
+        this._audioBuffer = null; // decoded recording
+        this._midiNotes = []; // {pitch, velocity, onset, offset} in maps time
+        this._midiDuration = 0; // end of the last MIDI note
+        this._source = null; // 'audio' or 'midi'
+        this._offset = options.offset ?? 0;
+        this._onTime = options.onTime ?? (() => { });
+        this._onEnd = options.onEnd ?? (() => { });
+        this._time = 0; // maps time when paused
+        this._startContextTime = 0; // context time at which playback started
+        this._startTime = 0; // maps time at which playback started
+        this._playing = false;
+        this._nodes = []; // playing audio source, oscillators
+        this._nextNote = 0; // index of the next MIDI note to schedule
+        this._frame = null; // animation frame request
+    } // constructor()
+
+    //#region Control Methods
+
+    /**
+     * Decodes a recording and selects it for playback
+     * @param {ArrayBuffer} buffer content of the audio file
+     * @returns {Promise} resolved when decoded
+     */
+    async loadAudio(buffer) {
+        this.pause();
+        this._audioBuffer = await this.context.decodeAudioData(buffer);
+        this._source = 'audio';
+        console.debug('PerformancePlayer: audio of ' + this._audioBuffer.duration.toFixed(3) + ' s loaded.');
+    } // loadAudio()
+
+    /**
+     * Selects MIDI notes for playback, e.g. MidiFile.notes
+     * @param {Array[Object]} notes {pitch, velocity, onset, offset}, times in seconds
+     */
+    loadMidiNotes(notes) {
+        this.pause();
+        this._midiNotes = [...notes].sort((a, b) => a.onset - b.onset);
+        this._midiDuration = Math.max(0, ...this._midiNotes.map((note) => note.offset));
+        this._source = 'midi';
+    } // loadMidiNotes()
+
+    /**
+     * Starts playback at the given maps time (default: current time)
+     * @param {number} time
+     */
+    play(time = this._time) {
+        if (!this._source) {
+            console.warn('PerformancePlayer play(): no audio or MIDI loaded.');
+            return;
+        }
+        this.pause();
+        this._time = time;
+        this.context.resume();
+        this._startContextTime = this.context.currentTime + 0.05; // small latency to schedule the start
+        this._startTime = this._time;
+        this._playing = true;
+        if (this._source === 'audio') {
+            let node = this.context.createBufferSource();
+            node.buffer = this._audioBuffer;
+            node.connect(this.context.destination);
+            let audioTime = this._time + this._offset; // recordings starting later begin with silence
+            node.start(this._startContextTime + Math.max(0, -audioTime), Math.max(0, audioTime));
+            this._nodes.push(node);
+        } else {
+            this._nextNote = this._midiNotes.findIndex((note) => note.offset > this._time);
+            if (this._nextNote < 0) this._nextNote = this._midiNotes.length;
+        }
+        this.#tick();
+    } // play()
+
+    /**
+     * Pauses playback, keeping the current time
+     */
+    pause() {
+        if (this._playing) {
+            this._time = this.currentTime;
+            this._playing = false;
+        }
+        if (this._frame !== null) {
+            cancelAnimationFrame(this._frame);
+            this._frame = null;
+        }
+        this._nodes.forEach((node) => {
+            try {
+                node.stop();
+            } catch (error) {
+                // not started yet
+            }
+            node.disconnect();
+        });
+        this._nodes = [];
+    } // pause()
+
+    /**
+     * Moves playback to the given maps time, playing on if playing
+     * @param {number} time
+     */
+    seek(time) {
+        if (this._playing) {
+            this.play(time);
+        } else {
+            this._time = time;
+            this._onTime(time);
+        }
+    } // seek()
+
+    /**
+     * Stops playback and forgets the loaded recording and MIDI notes, e.g. for another performance
+     */
+    unload() {
+        this.pause();
+        this._audioBuffer = null;
+        this._midiNotes = [];
+        this._midiDuration = 0;
+        this._source = null;
+        this._time = 0;
+    } // unload()
+
+    //#endregion Control Methods
+
+
+
+    //#region Getters
+
+    /**
+     * Get the decoded recording (AudioBuffer), null if none is loaded
+     */
+    get audioBuffer() {
+        return this._audioBuffer;
+    } // get audioBuffer()
+
+    /**
+     * Get the audio context, created on first use
+     */
+    get context() {
+        this._context ??= new AudioContext();
+        return this._context;
+    } // get context()
+
+    /**
+     * Get the current playback time in maps time (seconds)
+     */
+    get currentTime() {
+        if (!this._playing) {
+            return this._time;
+        }
+        return this._startTime + Math.max(0, this.context.currentTime - this._startContextTime);
+    } // get currentTime()
+
+    /**
+     * Get the end of the loaded recording or MIDI notes in maps time
+     */
+    get duration() {
+        if (this._source === 'audio') {
+            return this._audioBuffer.duration - this._offset;
+        } else if (this._source === 'midi') {
+            return this._midiDuration;
+        }
+        return 0;
+    } // get duration()
+
+    /**
+     * Get the audio time at maps time zero in seconds
+     */
+    get offset() {
+        return this._offset;
+    } // get offset()
+
+    /**
+     * Get whether the player is playing
+     */
+    get playing() {
+        return this._playing;
+    } // get playing()
+
+    /**
+     * Get the selected source, 'audio' or 'midi' (null if nothing is loaded)
+     */
+    get source() {
+        return this._source;
+    } // get source()
+
+    //#endregion Getters
+
+
+
+    //#region Setters
+
+    /**
+     * Set the audio time at maps time zero in seconds (applies to recordings only)
+     */
+    set offset(offset) {
+        let playing = this._playing;
+        this.pause();
+        this._offset = parseFloat(offset) || 0;
+        if (playing) {
+            this.play();
+        }
+    } // set offset()
+
+    /**
+     * Set the source to play, 'audio' or 'midi', if loaded
+     */
+    set source(source) {
+        if ((source === 'audio' && this._audioBuffer) || (source === 'midi' && this._midiNotes.length > 0)) {
+            this.pause();
+            this._source = source;
+        }
+    } // set source()
+
+    //#endregion Setters
+
+
+
+    //#region Helper Methods
+
+    /**
+     * Reports the current time, schedules the MIDI notes of the next half second
+     * and stops at the end
+     */
+    #tick() {
+        let time = this.currentTime;
+        if (this._source === 'midi') {
+            while (this._nextNote < this._midiNotes.length &&
+                this._midiNotes[this._nextNote].onset < time + 0.5) {
+                this.#playNote(this._midiNotes[this._nextNote++]);
+            }
+        }
+        this._onTime(time);
+        if (time >= this.duration) {
+            this.pause();
+            this._time = 0;
+            this._onEnd();
+            return;
+        }
+        this._frame = requestAnimationFrame(() => this.#tick());
+    } // tick()
+
+    /**
+     * Schedules a MIDI note with a decaying triangle wave, already sounding notes from now on
+     * @param {Object} note {pitch, velocity, onset, offset}
+     */
+    #playNote(note) {
+        let toContextTime = (t) => this._startContextTime + t - this._startTime;
+        if (toContextTime(note.offset) <= this.context.currentTime) {
+            return; // ended before the playback start
+        }
+        let start = Math.max(toContextTime(note.onset), this.context.currentTime);
+        let end = Math.max(toContextTime(note.offset), start + 0.05);
+        let oscillator = this.context.createOscillator();
+        oscillator.type = 'triangle';
+        oscillator.frequency.value = 440 * Math.pow(2, (note.pitch - 69) / 12);
+        let gain = this.context.createGain();
+        let level = 0.2 * (note.velocity ?? 64) / 127;
+        gain.gain.setValueAtTime(0, start);
+        gain.gain.linearRampToValueAtTime(level, start + 0.005);
+        gain.gain.exponentialRampToValueAtTime(level * 0.3, Math.max(end, start + 0.01));
+        gain.gain.linearRampToValueAtTime(0, end + 0.05);
+        oscillator.connect(gain).connect(this.context.destination);
+        oscillator.start(start);
+        oscillator.stop(end + 0.06);
+        oscillator.onended = () => {
+            this._nodes = this._nodes.filter((node) => node !== oscillator);
+            gain.disconnect();
+        };
+        this._nodes.push(oscillator);
+    } // playNote()
+
+    //#endregion Helper Methods
+} // PerformancePlayer class
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PerformancePlayer;
+}
@@ -5,18 +5,62 @@
  * Warps a score SVG notation file engraved by Verovio to a given time warping function.
  * The time warping function is given as a list of time points and corresponding time warping factors.
  *
- * TODO: .tupletNum 'g use' not handled
+ * Notes, beams, spanners and other Verovio elements are warped by element handlers
+ * registered per Verovio class name (see ScoreWarper.registerElementHandler()).
+ *
+ * Runs in the browser (using the live DOM for element geometry) or headless,
+ * e.g. in Node.js, where the geometry is computed from the SVG attributes
+ * (see svgGeometry.js and ScoreWarper.warpSVGString()).
  */
+
+// in Node.js, load companion scripts (in the browser, they are loaded through script tags)
+if (typeof module !== 'undefined' && module.exports) {
+    globalThis.SvgGeometry ??= require('./svgGeometry.js');
+}
+
 class ScoreWarper {
-    constructor(svgObject = undefined, maps = undefined) {
+    /**
+     * @param {Element} svgObject the SVG element engraved by Verovio
+     * @param {Object} maps maps file content (or an array of several, see maps setter)
+     * @param {Object} options {headless: compute geometry from SVG attributes,
+     * defaults to true outside of browsers; repeatPass: 'first' or 'last', the performed
+     * pass of repeated passages that is warped, if the score is not rendered expanded;
+     * resolveCollisions: displace notes that would collide after warping (see collisionReport);
+     * collisionPadding: minimal distance between notes in SVG units, defaults to 18;
+     * interpolation: interpolation of the warping function, see interpolation setter;
+     * minConfidence: maps events with a lower confidence are ignored, defaults to null (none);
+     * skipUnplayed: notes with velocity -1 are not warped to their event, defaults to true;
+     * weighting: weight of maps events in the warping function, see weighting setter;
+     * keepScoreOrder: warped notes keep the order of the score, defaults to false;
+     * perStaff: warp every staff with its own warping function, see perStaff setter;
+     * timemap: Verovio timemap of the score to locate beats of anchors, see timemap setter}
+     */
+    constructor(svgObject = undefined, maps = undefined, options = {}) {
         this._svgObj = svgObject; // the SVG element
         this._maps = maps; // store the maps file content
-        if (maps !== undefined) {
-            this.loadMaps(maps);
-        }
+        this._headless = options.headless ?? typeof SVGElement === 'undefined';
+        this._repeatPass = options.repeatPass ?? 'first';
+        this._resolveCollisions = options.resolveCollisions ?? false;
+        this._collisionPadding = options.collisionPadding ?? 18;
+        this._minConfidence = options.minConfidence ?? null;
+        this._skipUnplayed = options.skipUnplayed ?? true;
+        this._weighting = ScoreWarper.#validWeighting(options.weighting ?? 'none');
+        this._keepScoreOrder = options.keepScoreOrder ?? false;
+        this._perStaff = options.perStaff ?? false;
+        this._timemap = options.timemap ?? null;
+        this._displacements = new Map(); // note, chord, rest element -> displacement after warping
+        this._originalAttributes = new Map(); // element -> Map(attribute name -> engraved value or null)
+        this._velocityAttributes = new Map(); // notehead -> Map(attribute name -> value before velocity coding)
+        this._warpAmount = 1; // 0: engraved layout, 1: warped layout
+        this._individualNotesWarped = false;
+        this._warped = false;
+        this.interpolation = options.interpolation ?? 'linear';
         if (this._svgObj !== undefined) {
             this.init();
         }
+        if (maps !== undefined) {
+            this.maps = maps;
+        }
     } // constructor()
 
     //#region Control Methods
@@ -28,6 +72,7 @@ class ScoreWarper {
         this._noteXs = []; // x values of notes on screen
         this._noteSVGXs = []; // x values of notes in SVG
         this._onsetSVGXs = []; // SVG x values of onset times
+        this._systems = []; // systems with their notes, onsets, time span and warping function
         this._elementList; // a nodeList of elements that need to be warped
         this._timeWarpingFunction; // store the time warping function
 
@@ -43,73 +88,234 @@ class ScoreWarper {
             this._svgViewBox = this._svgObj.querySelector('svg[viewBox]').getAttribute('viewBox');
             this._svgViewBox = this._svgViewBox.split(' ').map(Number);
             let pageMarginElement = this._svgObj.querySelector('.page-margin');
-            let transformations = pageMarginElement.transform.baseVal;
-            this._pageMarginX = transformations.getItem(0).matrix.e;
+            let transform = pageMarginElement.getAttribute('transform');
+            this._pageMarginX = SvgGeometry.transformMatrix(transform)[4];
+            if (this._headless) {
+                this._geometry = new SvgGeometry(this._svgObj);
+            }
 
             console.debug('svgObj: ', this._svgObj);
             console.debug('svgObj width: ', this._svgWidth);
             console.debug('svgObj viewBox: ', this._svgViewBox);
-            console.debug('svgObj transform: ', pageMarginElement.transform);
-            console.debug('svgObj transform bsVl: ', transformations.getItem(0));
+            console.debug('svgObj transform: ', transform);
         }
     } // init()
 
     /**
      * Scans maps file content and calculates the coordinates for
      * time, screen, and SVG. To be called, when new maps file content is loaded.
+     * Notes are grouped by the system (line of music) they are engraved in, and every
+     * system gets its own time span, so that scores with system and page breaks are
+     * warped system by system. Maps events without a note in this SVG (e.g., on another page)
+     * are ignored. Maps ids are resolved to rendered element ids first (see renderedIds).
+     * A warped score is unwarped, as notes are measured in the engraved layout.
+     * Events below minConfidence, without onset or with inserted notes only are ignored,
+     * as are unplayed notes (velocity -1), if skipUnplayed is set.
+     * Events with an anchor {measure, beat} instead of notes (sparse anchors, e.g. from beat
+     * tracking, see MapsImporter.fromAnchors()) are warped to the x position of their beat,
+     * so that the score in between is warped proportionally.
      * @param {Object} maps
      */
     loadMaps(maps) {
         console.debug('ScoreWarper loadMaps() maps: ', maps);
+        if (!Array.isArray(maps) || maps.length === 0) {
+            throw new Error('ScoreWarper loadMaps(): maps file content is empty.');
+        }
+        this.unwarp();
 
         // determine global min and max onset times from maps object
         this._tmn = maps[this.firstOnsetIdx(maps)].obs_mean_onset;
         this._tmx = maps[this.lastOnsetIdx(maps)].obs_mean_onset;
         console.debug('ScoreWarper tmn/tmx: ' + this._tmn + '/' + this._tmx);
 
-        // determine global min and max screen x values of notes
-        let id1 = maps[this.firstOnsetIdx(maps)].xml_id[0];
-        let el1 = this.getElementForId(id1).querySelector('.notehead use');
-        this._fstX = this.svg2screen(parseFloat(el1.getAttribute('x')));
-
-        let id2 = maps[this.lastOnsetIdx(maps)].xml_id[0];
-        let el2 = this.getElementForId(id2).querySelector('.notehead use');
-        this._lstX = this.svg2screen(parseFloat(el2.getAttribute('x')));
-        console.debug('ScoreWarper first/lastNotehead x: ' + this._fstX + '/' + this._lstX);
+        // map maps ids to rendered element ids and locate the score notes (or anchors)
+        let located = this.#locateEvents(maps);
+        this._eventWeights = located.weights;
+        this._renderedIds = located.renderedIds;
 
-        // calculate score note coordinates
-        this._noteXs = []; // x values of notes on screen
-        this._noteSVGXs = []; // x values of notes in SVG
+        // calculate score note (or anchor) coordinates per system
+        let systemElements = Array.from(this._svgObj.querySelectorAll('.system'));
+        let systems = new Map(); // system element -> system object
         maps.forEach((item, i) => {
             if (i >= this.firstOnsetIdx(maps) && i <= this.lastOnsetIdx(maps)) {
-                let note = this.getElementForId(item.xml_id[0]);
-                // console.debug(i + '; note: ', note);
-                if (note) {
-                    // take center of note heads as x value
-                    let bbox = note.querySelector('.notehead use')?.getBBox();
-                    // console.debug('Note BBox: ', bbox);
-                    let noteX = bbox.x; // + bbox.width / 2;
-                    if (!noteX) {
-                        console.warn('Note without notehead: ', note);
+                let { note, x: noteX } = located.positions[i];
+                if (note && isNaN(noteX)) {
+                    console.warn('Note without notehead: ', note);
+                } else if (note) {
+                    let systemElement = note.closest('.system') || this._svgObj;
+                    if (!systems.has(systemElement)) {
+                        systems.set(systemElement, {
+                            element: systemElement, // the g.system element
+                            mapsIdxs: [], // indices of maps events in this system
+                            onsets: [], // onset times of maps events
+                            noteSVGXs: [], // x values of notes in SVG
+                            weights: [], // weights of maps events in the warping function
+                            staves: [], // staff numbers of the notes of maps events (empty: all staves)
+                        });
                     }
-                    this._noteSVGXs.push(noteX); // pure SVG x values (without page-margin)
-                    this._noteXs.push(this.svg2screen(noteX));
+                    let system = systems.get(systemElement);
+                    system.mapsIdxs.push(i);
+                    system.onsets.push(item.obs_mean_onset);
+                    system.noteSVGXs.push(noteX); // pure SVG x values (without page-margin)
+                    system.weights.push(this._eventWeights[i]);
+                    system.staves.push(this.#eventStaves(i));
                 } else {
                     console.debug(i + '; note: NOT FOUND');
                 }
             }
         });
 
-        // calculate onsetSVGs with mean onset times per event (as in maps object)
-        this._onsetSVGXs = []; // SVG x values of onset times
+        // sort systems in score order and compute time span and x range of each system
+        this._systems = Array.from(systems.values()).sort((a, b) =>
+            systemElements.indexOf(a.element) - systemElements.indexOf(b.element));
+        let eventOnsets = maps.filter((item, i) => this._eventWeights[i] !== null).map((item) => item.obs_mean_onset);
+        this._systems.forEach((system, i) => {
+            system.index = i;
+            system.tmn = system.onsets[0]; // min onset time of system
+            system.tmx = system.onsets[system.onsets.length - 1]; // max onset time of system
+            system.fstSVGX = system.noteSVGXs[0]; // first note SVG x
+            system.lstSVGX = system.noteSVGXs[system.noteSVGXs.length - 1]; // last note SVG x
+            // first onset after the system (on a later system or page, Infinity for the last one)
+            system.nextTmn = Math.min(...eventOnsets.filter((t) => t > system.tmx));
+            system.rightSVGX = this.#systemRightEdge(system); // right end of the staff lines
+            system.fstX = this.svg2screen(system.fstSVGX); // first note screen x
+            system.lstX = this.svg2screen(system.lstSVGX); // last note screen x
+            system.noteXs = system.noteSVGXs.map((x) => this.svg2screen(x)); // x values of notes on screen
+            // save onset time data in SVG coordinates
+            system.onsetSVGXs = system.onsets.map((t) => this.time2svg(t, system));
+        });
+        console.debug('ScoreWarper systems: ', this._systems.length);
+
+        // global min and max screen x values of notes, and coordinates of all systems
+        this._fstX = this._systems[0]?.fstX ?? 0;
+        this._lstX = this._systems[this._systems.length - 1]?.lstX ?? 0;
+        console.debug('ScoreWarper first/lastNotehead x: ' + this._fstX + '/' + this._lstX);
+        this._noteXs = this._systems.flatMap((system) => system.noteXs); // x values of notes on screen
+        this._noteSVGXs = this._systems.flatMap((system) => system.noteSVGXs); // x values of notes in SVG
+        this._onsetSVGXs = this._systems.flatMap((system) => system.onsetSVGXs); // SVG x values of onset times
+    } // loadMaps()
+
+    /**
+     * Cross-checks maps file content against the rendered score, e.g. before warping.
+     * Reports xml_ids not in the score, score notes not in the maps, ids in more than one
+     * performed event (expected for repeats performed on a score that is not expanded),
+     * events performed earlier than an event before them in the score (in the warped
+     * repeat pass), notes inserted by the aligner, deleted notes (not performed, or with
+     * velocity -1) and events without onset. Entries refer to maps indices. Events are out of
+     * order, if they are not in the longest sequence of events performed in score order.
+     * @param {Object} maps (optional) maps file content, defaults to the current maps
+     * @returns {Object} {entries, scoreNotes, notInScore: [{index, id}], notInMaps: [id],
+     * duplicates: [{id, indices}], orderViolations: [{index, id, onset, expectedAfter, expectedBefore}],
+     * inserted: [{index, id, onset}], deleted: [{index, id}], invalidOnsets: [{index, onset}]}
+     */
+    validateMaps(maps = this._maps) {
+        let report = {
+            entries: maps.length,
+            scoreNotes: 0,
+            notInScore: [],
+            notInMaps: [],
+            duplicates: [],
+            orderViolations: [],
+            inserted: [],
+            deleted: [],
+            invalidOnsets: []
+        };
+        let renderedIds = this.#resolveRenderedIds(maps);
+        let referenced = new Set(); // rendered ids referenced by the maps
+        let performedIdxs = new Map(); // maps id -> indices of events performing it
         maps.forEach((item, i) => {
-            if (i >= this.firstOnsetIdx(maps) && i <= this.lastOnsetIdx(maps)) {
-                let t = item.obs_mean_onset;
-                // save onset time data in SVG coordinates
-                this._onsetSVGXs.push(this.time2svg(t));
+            let onset = item.obs_mean_onset;
+            if (!Number.isFinite(onset)) {
+                report.invalidOnsets.push({ index: i, onset: onset });
             }
+            item.xml_id.forEach((id, k) => {
+                if (id.includes('trompa-align_inserted')) {
+                    report.inserted.push({ index: i, id: id, onset: onset });
+                    return;
+                }
+                if (onset < 0 || item.velocity?.[k] === -1) {
+                    report.deleted.push({ index: i, id: id });
+                } else {
+                    if (!performedIdxs.has(id)) performedIdxs.set(id, []);
+                    performedIdxs.get(id).push(i);
+                }
+                let renderedId = renderedIds[i][k] ?? this.getRenderedId(id);
+                if (renderedId) {
+                    referenced.add(renderedId);
+                } else {
+                    report.notInScore.push({ index: i, id: id });
+                }
+            });
         });
-    } // loadMaps()
+        performedIdxs.forEach((idxs, id) => {
+            if (idxs.length > 1) {
+                report.duplicates.push({ id: id, indices: idxs });
+            }
+        });
+
+        // score notes without maps entry (not expected for maps of anchors only)
+        let anchorsOnly = maps.every((item) => item.anchor || item.obs_mean_onset < 0);
+        this._svgObj.querySelectorAll('.note').forEach((note) => {
+            let id = note.getAttribute('data-id') || note.getAttribute('id');
+            report.scoreNotes++;
+            if (!referenced.has(id) && !anchorsOnly) {
+                report.notInMaps.push(id);
+            }
+        });
+
+        // onsets against score order: events sorted by system and x of their first note
+        let systemElements = Array.from(this._svgObj.querySelectorAll('.system'));
+        let events = [];
+        maps.forEach((item, i) => {
+            let k = renderedIds[i].findIndex((id, k) => id !== null && item.velocity?.[k] !== -1);
+            let note = (k >= 0 && item.obs_mean_onset >= 0) ? this.getElementForId(renderedIds[i][k]) : null;
+            let x = note ? this.noteheadX(note) : NaN;
+            if (!isNaN(x) && Number.isFinite(item.obs_mean_onset)) {
+                events.push({
+                    index: i,
+                    id: item.xml_id[k],
+                    onset: item.obs_mean_onset,
+                    system: systemElements.indexOf(note.closest('.system')),
+                    x: x
+                });
+            }
+        });
+        events.sort((a, b) => a.system - b.system || a.x - b.x);
+        // events at the same x (within half a unit) form a column in any order of onsets
+        let column = 0;
+        events.forEach((event, j) => {
+            let previous = events[j - 1];
+            if (previous && (previous.system !== event.system || event.x - previous.x >= 0.5)) {
+                column++;
+            }
+            event.column = column;
+        });
+        events.sort((a, b) => a.column - b.column || a.onset - b.onset);
+
+        // events outside the longest sequence of non-decreasing onsets are out of order
+        let inOrder = this.#longestNonDecreasing(events.map((event) => event.onset));
+        let expectedBefore = []; // onset of the next event in order, for each event
+        for (let j = events.length - 1, next = null; j >= 0; j--) {
+            expectedBefore[j] = next;
+            next = inOrder.has(j) ? events[j].onset : next;
+        }
+        let expectedAfter = null; // onset of the last event in order
+        events.forEach((event, j) => {
+            if (inOrder.has(j)) {
+                expectedAfter = event.onset;
+            } else {
+                report.orderViolations.push({
+                    index: event.index,
+                    id: event.id,
+                    onset: event.onset,
+                    expectedAfter: expectedAfter,
+                    expectedBefore: expectedBefore[j]
+                });
+            }
+        });
+        report.orderViolations.sort((a, b) => a.index - b.index);
+        return report;
+    } // validateMaps()
 
     /**
      * Shift the page-margin group by half a notehead width to the left 
@@ -117,89 +323,552 @@ class ScoreWarper {
      */
     shiftPageMargin() {
         let pageMarginElement = this._svgObj.querySelector('.page-margin');
-        let transformations = pageMarginElement.transform.baseVal;
+        let transformations = SvgGeometry.parseTransform(pageMarginElement.getAttribute('transform'));
 
         // get notehead width
         let noteheadWidths =
             Array.from(this._svgObj.querySelectorAll('.notehead'))
                 .map(
-                    (notehead) => notehead.getBBox().width
+                    (notehead) => this.getBBox(notehead).width
                 );
         this._noteheadWidth = this.median(noteheadWidths);
 
         // shift page margin by half a notehead width to the left
-        transformations.getItem(0).matrix.e = this._pageMarginX - this._noteheadWidth / 2;
+        transformations[0].values[0] = this._pageMarginX - this._noteheadWidth / 2;
+        pageMarginElement.setAttribute('transform', SvgGeometry.serializeTransform(transformations));
     } // shiftPageMargin()    
 
     /**
-     * Warps the score SVG object to the given time warping function
+     * Warps the score SVG object to the given time warping function.
+     * The score is warped from its engraved layout, so that warp() can be called
+     * repeatedly, e.g. with the maps of another performance, with identical results.
      * @param {Object} maps (optional) maps file content, if empty,
      * the current maps file content is used
+     * @param {Object|string} interpolation (optional) interpolation of the warping function
+     * (see interpolation setter), if empty, the current interpolation is used
      */
-    warp(maps = null) {
+    warp(maps = null, interpolation = null) {
+        this.unwarp();
         if (maps !== null) {
-            this.loadMaps(maps);
+            this.maps = maps;
+        }
+        if (interpolation !== null) {
+            this.interpolation = interpolation;
+        }
+
+        // calculate warping function for each system (and each staff, see perStaff)
+        this._systems.forEach((system) => {
+            system.warpFunc = this.computeWarpingFunction(system);
+            system.staffWarpFuncs = this._perStaff ? this.#computeStaffWarpingFunctions(system) : new Map();
+        });
+        this._timeWarpingFunction = {
+            interpolation: { ...this._interpolation },
+            systems: this._systems.map((system) => ({
+                knots: system.warpKnots, // [x, delta, weight] triples the function passes through
+                deltaAt: system.warpFunc, // x => delta for any SVG x
+                staves: Array.from(system.staffWarpFuncs, ([staff, warpFunc]) => ({
+                    staff: staff,
+                    knots: warpFunc.knots,
+                    deltaAt: warpFunc
+                }))
+            }))
+        };
+
+        // displace notes, chords and rests that would collide after warping
+        if (this._resolveCollisions) {
+            this.#resolveCollisions();
+        }
+
+        this._warped = true;
+        this.#applyWarp();
+    } // warp()
+
+    /**
+     * Restores the engraved layout of the score from the recorded original attributes
+     * of all warped elements. The maps file content is kept for the next warp().
+     */
+    unwarp() {
+        this.#restoreAttributes();
+        this._timeWarpingFunction = undefined;
+        this._displacements = new Map();
+        this._warpAmount = 1;
+        this._individualNotesWarped = false;
+        this._warped = false;
+    } // unwarp()
+
+    /**
+     * Adjusts individual notes in a chord. To be run after calling warp().
+     * Notes keep the displacement of their chord, if collisions have been resolved.
+     */
+    warpIndividualNotes() {
+        if (!this._warped) {
+            console.warn('ScoreWarper warpIndividualNotes(): score not warped.');
+            return;
         }
+        this._individualNotesWarped = true;
+        this.#applyWarp();
+    } // warpIndividualNotes()
 
-        // selector for SVG elements that need to be warped
+    /**
+     * Sets the layout in between the engraved (0) and the warped (1) layout,
+     * e.g. to animate the transition. To be run after calling warp().
+     * All shifts, including those of individual notes and displacements, are scaled,
+     * so that beams, slurs and chord notes move together with their notes.
+     * @param {number} amount between 0 and 1
+     */
+    setWarpAmount(amount) {
+        this._warpAmount = Math.min(Math.max(parseFloat(amount) || 0, 0), 1);
+        if (this._warped) {
+            this.#applyWarp();
+        }
+    } // setWarpAmount()
+
+    /**
+     * Sets the handling of maps events (minConfidence, weighting, skipUnplayed and keepScoreOrder,
+     * see constructor) at once. Unlike the setters, the maps file content is reloaded only once,
+     * and only if an option changed that affects it.
+     * @param {Object} options {minConfidence, weighting, skipUnplayed, keepScoreOrder}, missing
+     * options are kept
+     * @returns {boolean} whether the maps file content was reloaded
+     */
+    setAlignmentOptions(options) {
+        let changed = false;
+        let update = (name, field, value) => {
+            if (name in options && value !== this[field]) {
+                this[field] = value;
+                changed = true;
+            }
+        };
+        update('minConfidence', '_minConfidence', options.minConfidence);
+        update('weighting', '_weighting', 'weighting' in options && ScoreWarper.#validWeighting(options.weighting));
+        update('skipUnplayed', '_skipUnplayed', options.skipUnplayed);
+        if ('keepScoreOrder' in options) {
+            this._keepScoreOrder = options.keepScoreOrder; // applies to the next warp()
+        }
+        if (changed && this._maps) {
+            this.loadMaps(this._maps);
+            return true;
+        }
+        return false;
+    } // setAlignmentOptions()
+
+    /**
+     * Codes the noteheads of the performed notes by their MIDI velocity (see noteVelocities()):
+     * 'color' fills them from gold (soft) to dark red (loud, see velocityColor()), 'size' scales
+     * them around their centre from 0.7 to 1.3 times their size, 'none' restores them. Notes
+     * without velocity are left as engraved. The coding is kept when warping and unwarping.
+     * @param {string} mode one of velocityModes
+     * @param {Object} maps (optional) defaults to the loaded maps
+     * @returns {number} number of coded noteheads
+     */
+    codeVelocities(mode = 'color', maps = this._maps) {
+        if (!ScoreWarper.velocityModes.includes(mode)) {
+            throw new Error('ScoreWarper codeVelocities(): unknown mode ' + mode + ', use one of ' +
+                ScoreWarper.velocityModes.join(', ') + '.');
+        }
+        this._velocityAttributes.forEach((attributes, element) => {
+            attributes.forEach((value, name) => {
+                if (value === null) {
+                    element.removeAttribute(name);
+                } else {
+                    element.setAttribute(name, value);
+                }
+            });
+        });
+        this._velocityAttributes = new Map();
+        if (mode === 'none' || !Array.isArray(maps)) {
+            return 0;
+        }
+        let setAttribute = (element, name, value) => {
+            if (!this._velocityAttributes.has(element)) this._velocityAttributes.set(element, new Map());
+            let attributes = this._velocityAttributes.get(element);
+            if (!attributes.has(name)) attributes.set(name, element.getAttribute(name));
+            element.setAttribute(name, value);
+        };
+        let count = 0;
+        this.noteVelocities(maps).forEach((item) => {
+            this.getElementForId(item.id).querySelectorAll('.notehead').forEach((notehead) => {
+                if (mode === 'color') {
+                    setAttribute(notehead, 'fill', ScoreWarper.velocityColor(item.velocity));
+                } else {
+                    let bbox = this.getBBox(notehead);
+                    let [cx, cy] = [bbox.x + bbox.width / 2, bbox.y + bbox.height / 2];
+                    let scale = 0.7 + 0.6 * Math.min(item.velocity, 127) / 127;
+                    let transformList = SvgGeometry.parseTransform(notehead.getAttribute('transform'));
+                    transformList.push({ type: 'translate', values: [cx, cy] }, { type: 'scale', values: [scale, scale] },
+                        { type: 'translate', values: [-cx, -cy] });
+                    setAttribute(notehead, 'transform', SvgGeometry.serializeTransform(transformList));
+                }
+                setAttribute(notehead, 'data-velocity', item.velocity);
+                count++;
+            });
+        });
+        console.debug('ScoreWarper codeVelocities(): ' + count + ' noteheads coded by ' + mode + '.');
+        return count;
+    } // codeVelocities()
+
+    /**
+     * Restores the engraved attributes and warps all elements by the current warp amount
+     */
+    #applyWarp() {
+        // selector for SVG elements that need to be warped, if not warped by an element handler
         let listOfSelectors = [
-            'g.note,g.rest', // for notes/chords and rests
-            'g.arpeg', // for arpeggios
-            'g.beam', // for beams
-            'g.hairpin', // for hairpins
-            'g.lineDash', // for ledger lines (svgHtml5 option for Verovio toolkit)
             'line', // for red lines
-            'path', // for slur, barline, (stem handled by note, staff lines ignored)
-            'use[x]', // for many elements
+            'path', // for barline (staff lines ignored)
+            'use', // for many elements
             'text[x]',
             'rect[x]',
             // 'ellipse', // not for dots, for what?
             // 'circle', // for what?
         ];
 
-        // calculate warping function
-        let warpFunc = this.computeWarpingArray();
+        this.#restoreAttributes();
+        let amount = this._warpAmount;
+        this._systems.forEach((system) => {
+            system.appliedWarpFunc = system.warpFunc && ((x) => amount * system.warpFunc(x));
+            system.appliedStaffWarpFuncs = new Map(Array.from(system.staffWarpFuncs ?? [],
+                ([staff, warpFunc]) => [staff, (x) => amount * warpFunc(x)]));
+        });
 
-        // shift elements in elementList
-        this.#shiftElements(listOfSelectors, warpFunc);
-    } // warp()
+        // warp elements with a registered handler, then shift remaining elements
+        this.#warpHandledElements();
+        this.#shiftElements(listOfSelectors);
+        if (this._individualNotesWarped) {
+            this.#warpIndividualNotes();
+        }
+    } // applyWarp()
 
     /**
-     * Adjusts individual notes in a chord. To be run after calling warp().
+     * Shifts the notes of chords to their own onsets, scaled by the warp amount
      */
-    warpIndividualNotes() {
+    #warpIndividualNotes() {
         // iterate over all notes in the maps file
         this._maps.forEach((item, i) => {
             if (i >= this.firstOnsetIdx(this._maps) && i <= this.lastOnsetIdx(this._maps)) {
-                let onsetSVGx = this.time2svg(item.obs_mean_onset);
-                item.xml_id.forEach((id) => {
-                    let note = this.getElementForId(id);
-                    if (note) {
-                        let xTranslate = note.transform.baseVal;
+                item.xml_id.forEach((id, k) => {
+                    let renderedId = this._renderedIds[i][k];
+                    let note = renderedId ? this.getElementForId(renderedId) : null;
+                    let system = note && this.getSystemForElement(note);
+                    if (system) {
+                        let onsetSVGx = this.time2svg(item.obs_mean_onset, system);
                         let xShift = 0;
-                        if (xTranslate.length > 0) {
-                            xShift = xTranslate.getItem(0).matrix.e;
-                        } else {
-                            xShift = note.closest('.chord')?.transform.baseVal.getItem(0).matrix.e;
+                        if (note.hasAttribute('transform')) {
+                            xShift = this.translateX(note);
+                        } else if (note.closest('.chord')) {
+                            xShift = this.translateX(note.closest('.chord'));
                         }
-                        let notehead = note.querySelector('g.notehead');
-                        let noteheadBB = notehead?.getBBox();
-                        let noteX = noteheadBB.x + xShift; // + noteHeadBB.width / 2;
-                        this.#translate(note, onsetSVGx - noteX);
+                        let noteX = this.noteheadX(note) + xShift;
+                        let displacement = this._displacements.get(note.closest('.chord') || note) ?? 0;
+                        let engravedX = this.noteheadX(note);
+                        // warped x of the note, scaled from its engraved x by the warp amount
+                        let targetX = engravedX + this._warpAmount * (onsetSVGx + displacement - engravedX);
+                        this.translate(note, targetX - noteX);
                     } else {
                         console.debug('No note element found: ', id);
                     }
                 });
             }
         });
-    } // adjustIndividualNotes()
+    } // warpIndividualNotes()
 
     //#endregion Control Methods
 
 
 
+    //#region Static Methods
+
+    /**
+     * Builds the consensus of several performances of a score: the maps ids are matched across
+     * the maps files (the n-th occurrence of an id without '-rend' suffix as '<id>-rend<n>',
+     * as in an expanded score), the onsets of every note are normalised to the time span of its
+     * performance (0 at the first, 1 at the last played note, scaled to the mean duration), or
+     * taken from the first played note only (normalise: false), and averaged. Unplayed (velocity -1),
+     * inserted and deleted notes and anchor events are ignored, as are notes played in fewer than
+     * minPerformances performances. Notes with the same consensus onset form an event.
+     * @param {Array[Array[Object]]} mapsList maps file contents of the same score
+     * @param {Object} options {statistic: 'median' (default) or 'mean' onset; normalise: true (default);
+     * minPerformances: defaults to half of the performances}
+     * @returns {Array[Object]} maps events {obs_mean_onset, xml_id, velocity, confidence, obs_num, spread},
+     * with the mean velocity, the standard deviation of the onsets (spread, in seconds) for each note
+     * and the share of performances that played all notes of the event as confidence
+     */
+    static consensusMaps(mapsList, options = {}) {
+        let statistic = options.statistic ?? 'median';
+        let normalise = options.normalise ?? true;
+        let minPerformances = options.minPerformances ?? Math.ceil(mapsList.length / 2);
+        if (!ScoreWarper.consensusStatistics.includes(statistic)) {
+            throw new Error('Unknown consensus statistic ' + statistic + ', use one of ' +
+                ScoreWarper.consensusStatistics.join(', '));
+        }
+        if (mapsList.length === 0) {
+            throw new Error('ScoreWarper consensusMaps(): no maps file content given.');
+        }
+
+        // played notes of each performance: note key -> onset and velocity, relative to the first note
+        let performances = mapsList.map((maps) => {
+            let occurrences = new Map(); // maps id -> number of occurrences so far
+            let played = new Map(); // note key -> {onset, velocity}
+            maps.forEach((item) => {
+                if (!Number.isFinite(item.obs_mean_onset) || item.obs_mean_onset < 0 || item.anchor) {
+                    return;
+                }
+                item.xml_id.forEach((id, k) => {
+                    let n = (occurrences.get(id) ?? 0) + 1;
+                    occurrences.set(id, n);
+                    let velocity = item.velocity?.[k];
+                    if (!id.includes('trompa-align_inserted') && velocity !== -1) {
+                        let key = (n > 1 && !/-rend\d+$/.test(id)) ? id + '-rend' + n : id;
+                        played.set(key, { onset: item.obs_mean_onset, velocity: velocity });
+                    }
+                });
+            });
+            let onsets = Array.from(played.values(), (note) => note.onset);
+            return { played: played, start: Math.min(...onsets), end: Math.max(...onsets) };
+        }).filter((performance) => performance.played.size > 0);
+        let meanDuration = performances.reduce((sum, p) => sum + p.end - p.start, 0) / performances.length;
+        let relative = (p, t) => (normalise && p.end > p.start) ? (t - p.start) / (p.end - p.start) * meanDuration : t - p.start;
+
+        // consensus onset, spread and velocity of each note played often enough
+        let keys = new Set(performances.flatMap((p) => Array.from(p.played.keys())));
+        let events = new Map(); // rounded consensus onset -> event
+        keys.forEach((key) => {
+            let playing = performances.filter((p) => p.played.has(key));
+            if (playing.length < Math.max(minPerformances, 1)) {
+                return;
+            }
+            let onsets = playing.map((p) => relative(p, p.played.get(key).onset));
+            let mean = onsets.reduce((sum, t) => sum + t, 0) / onsets.length;
+            let sorted = [...onsets].sort((a, b) => a - b);
+            let middle = Math.floor(sorted.length / 2);
+            let onset = (statistic === 'mean') ? mean :
+                (sorted.length % 2 === 0) ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+            let spread = Math.sqrt(onsets.reduce((sum, t) => sum + (t - mean) ** 2, 0) / onsets.length);
+            let velocities = playing.map((p) => p.played.get(key).velocity).filter((velocity) => Number.isFinite(velocity));
+            onset = Math.round(onset * 1e4) / 1e4;
+            if (!events.has(onset)) {
+                events.set(onset, { obs_mean_onset: onset, xml_id: [], velocity: [], confidence: 1, obs_num: 0, spread: [] });
+            }
+            let event = events.get(onset);
+            event.xml_id.push(key);
+            event.velocity.push(velocities.length > 0 ?
+                Math.round(velocities.reduce((sum, v) => sum + v, 0) / velocities.length) : null);
+            event.spread.push(Math.round(spread * 1e4) / 1e4);
+            event.confidence = Math.min(event.confidence, playing.length / performances.length);
+        });
+        let consensus = Array.from(events.values()).sort((a, b) => a.obs_mean_onset - b.obs_mean_onset);
+        if (consensus.length === 0) {
+            throw new Error('ScoreWarper consensusMaps(): no note is played in at least ' + Math.max(minPerformances, 1) +
+                ' of the ' + mapsList.length + ' performances.');
+        }
+        consensus.forEach((event, i) => event.obs_num = i + 1);
+        console.debug('ScoreWarper consensusMaps(): ' + consensus.length + ' events of ' + performances.length + ' performances.');
+        return consensus;
+    } // consensusMaps()
+
+    /**
+     * Returns the statistics of the consensus onsets of several performances (see consensusMaps())
+     * @returns {Array[string]}
+     */
+    static get consensusStatistics() {
+        return ['median', 'mean'];
+    } // get consensusStatistics()
+
+    /**
+     * Merges the maps validation reports of the pages of a score (see validateMaps()):
+     * ids are not in the score, if they are not on any page
+     * @param {Array[Object]} reports
+     * @returns {Object} report
+     */
+    static mergeMapsReports(reports) {
+        let notInPage = reports.map((report) => new Set(report.notInScore.map((entry) => entry.index + ':' + entry.id)));
+        return {
+            ...reports[0],
+            scoreNotes: reports.reduce((sum, report) => sum + report.scoreNotes, 0),
+            notInScore: reports[0].notInScore.filter((entry) =>
+                notInPage.every((set) => set.has(entry.index + ':' + entry.id))),
+            notInMaps: reports.flatMap((report) => report.notInMaps),
+            orderViolations: reports.flatMap((report) => report.orderViolations).sort((a, b) => a.index - b.index)
+        };
+    } // mergeMapsReports()
+
+    /**
+     * Returns the weightings of maps events in the warping function (see weighting setter)
+     * @returns {Array[string]}
+     */
+    static get weightingModes() {
+        return ['none', 'confidence', 'velocity'];
+    } // get weightingModes()
+
+    /**
+     * Returns the weighting, if it is one of the weightingModes, and throws an error otherwise
+     * @param {string} weighting
+     * @returns {string}
+     */
+    static #validWeighting(weighting) {
+        if (!ScoreWarper.weightingModes.includes(weighting)) {
+            throw new Error('Unknown weighting ' + weighting + ', use one of ' +
+                ScoreWarper.weightingModes.join(', '));
+        }
+        return weighting;
+    } // validWeighting()
+
+    /**
+     * Returns the interpolation modes of the warping function (see interpolation setter)
+     * @returns {Array[string]}
+     */
+    static get interpolationModes() {
+        return ['linear', 'monotone', 'smoothed', 'tempo'];
+    } // get interpolationModes()
+
+    /**
+     * Lists the ids of all expansion elements in an MEI file, to be passed to Verovio's
+     * expand option (together with expandAlways), so that the score is rendered unfolded
+     * @param {string} meiText
+     * @returns {Array[string]} expansion ids
+     */
+    static listExpansions(meiText) {
+        let ids = [];
+        for (let match of meiText.matchAll(/<expansion\b[^>]*?xml:id="([^"]+)"/g)) {
+            ids.push(match[1]);
+        }
+        return ids;
+    } // listExpansions()
+
+    /**
+     * Warps a Verovio SVG string to a maps array without a browser,
+     * e.g. in Node.js (uses the linkedom package, if no DOMParser is available).
+     * @param {string} svgString SVG text engraved by Verovio
+     * @param {Object} maps maps file content
+     * @param {Object} options {individualNotes: also warp notes inside chords,
+     * repeatPass: 'first' or 'last', domParser: a DOMParser instance to be used}
+     * @returns {string} the warped SVG text
+     */
+    static warpSVGString(svgString, maps, options = {}) {
+        let parser = options.domParser;
+        if (!parser) {
+            parser = typeof DOMParser !== 'undefined' ? new DOMParser() : new (require('linkedom').DOMParser)();
+        }
+        let svgDocument = parser.parseFromString(svgString, 'image/svg+xml');
+        let svgObj = svgDocument.documentElement;
+
+        let scoreWarper = new ScoreWarper(svgObj, undefined, { headless: true, repeatPass: options.repeatPass });
+        scoreWarper.shiftPageMargin();
+        scoreWarper.maps = maps;
+        scoreWarper.warp();
+        if (options.individualNotes) {
+            scoreWarper.warpIndividualNotes();
+        }
+        return ScoreWarper.serialize(svgObj);
+    } // warpSVGString()
+
+    /**
+     * Serializes an SVG element to text (with XMLSerializer where available)
+     * @param {Element} svgObj
+     * @returns {string}
+     */
+    static serialize(svgObj) {
+        if (typeof XMLSerializer !== 'undefined') {
+            return new XMLSerializer().serializeToString(svgObj);
+        }
+        return svgObj.toString();
+    } // serialize()
+
+    /**
+     * Formats a tempo curve (see tempoCurve()) as CSV text with a header line
+     * @param {Array[Object]} curve
+     * @returns {string}
+     */
+    static tempoCSV(curve) {
+        return ScoreWarper.#csv(curve, ['measure', 'n', 'beat', 'qstamp', 'quarters', 'beats', 'onset', 'offset', 'bpm', 'smoothedBpm']);
+    } // tempoCSV()
+
+    /**
+     * Formats chord asynchronies (see chordAsynchronies()) as CSV text with a header line,
+     * one chord per line, with the ids of several notes separated by spaces
+     * @param {Array[Object]} chords
+     * @returns {string}
+     */
+    static chordAsynchronyCSV(chords) {
+        return ScoreWarper.#csv(chords, ['onset', 'spread', 'ids', 'onsets', 'leads', 'top', 'melodyLead']);
+    } // chordAsynchronyCSV()
+
+    /**
+     * Formats rows as CSV text with a header line: numbers rounded to milliseconds
+     * (or thousandths), arrays separated by spaces, null and undefined as empty fields
+     * @param {Array[Object]} rows
+     * @param {Array[string]} columns property names
+     * @returns {string}
+     */
+    static #csv(rows, columns) {
+        let format = (value) => (typeof value === 'number') ? String(Math.round(value * 1000) / 1000) :
+            Array.isArray(value) ? value.map(format).join(' ') : (value ?? '');
+        return [columns.join(','), ...rows.map((row) =>
+            columns.map((column) => format(row[column])).join(','))].join('\n') + '\n';
+    } // csv()
+
+    /**
+     * Returns the colour of a MIDI velocity, from gold (soft) to dark red (loud)
+     * @param {number} velocity 0 to 127
+     * @returns {string} rgb() colour
+     */
+    static velocityColor(velocity) {
+        let amount = Math.min(Math.max(velocity / 127, 0), 1);
+        let [soft, loud] = [[240, 190, 0], [150, 0, 20]];
+        return 'rgb(' + soft.map((value, i) => Math.round(value + (loud[i] - value) * amount)).join(', ') + ')';
+    } // velocityColor()
+
+    /**
+     * Returns the modes of coding noteheads by velocity (see codeVelocities())
+     * @returns {Array[string]}
+     */
+    static get velocityModes() {
+        return ['none', 'color', 'size'];
+    } // get velocityModes()
+
+    /**
+     * Returns the units of tempo curves (see tempoCurve())
+     * @returns {Array[string]}
+     */
+    static get tempoUnits() {
+        return ['beat', 'bar'];
+    } // get tempoUnits()
+
+    //#endregion Static Methods
+
+
+
     //#region Getters
 
+    /**
+     * Get the collision report of the last warp(): for every note in a staff, its id, its
+     * onset time, and how far it has been displaced from its onset to resolve collisions,
+     * in SVG units (displacement) and in seconds (timeDisplacement)
+     * @returns {Array[Object]} [{id, onset, displacement, timeDisplacement}]
+     */
+    get collisionReport() {
+        let onsets = new Map(); // rendered id -> onset time
+        this._renderedIds?.forEach((ids, i) => {
+            ids.forEach((id) => id && onsets.set(id, this._maps[i].obs_mean_onset));
+        });
+        let report = [];
+        this._displacements.forEach((displacement, event) => {
+            let system = this.getSystemForElement(event);
+            let svgSpan = system.lstSVGX - system.fstSVGX;
+            let secondsPerUnit = svgSpan ? (system.tmx - system.tmn) / svgSpan : 0;
+            let notes = event.classList.contains('note') ? [event] : Array.from(event.querySelectorAll('.note'));
+            notes.forEach((note) => {
+                let id = note.getAttribute('data-id') || note.getAttribute('id');
+                report.push({
+                    id: id,
+                    onset: onsets.get(id) ?? null,
+                    displacement: displacement,
+                    timeDisplacement: displacement * secondsPerUnit
+                });
+            });
+        });
+        return report;
+    } // get collisionReport()
+
     /**
      * Get fstX (first note screen x) in the maps file
      */
@@ -214,6 +883,13 @@ class ScoreWarper {
         return this._lstX;
     } // get lstX()
 
+    /**
+     * Get whether geometry is computed from SVG attributes instead of the browser
+     */
+    get headless() {
+        return this._headless;
+    } // get headless()
+
     /**
      * Get the maps file content
      */
@@ -256,6 +932,73 @@ class ScoreWarper {
         return this._pageMarginX;
     } // get pageMarginX()
 
+    /**
+     * Get the rendered element ids for each maps entry: an array parallel to the maps array,
+     * holding for each xml_id the id of the rendered element, or null, if the note is not
+     * rendered in this SVG, belongs to a repeat pass that is not warped, is unplayed
+     * (see skipUnplayed) or belongs to an ignored event (see minConfidence)
+     */
+    get renderedIds() {
+        return this._renderedIds;
+    } // get renderedIds()
+
+    /**
+     * Get the interpolation of the warping function
+     * @returns {Object} {mode, window, tension}
+     */
+    get interpolation() {
+        return this._interpolation;
+    } // get interpolation()
+
+    /**
+     * Get whether warped notes keep the order of the score
+     */
+    get keepScoreOrder() {
+        return this._keepScoreOrder;
+    } // get keepScoreOrder()
+
+    /**
+     * Get the minimal confidence of maps events, or null if events are not filtered
+     */
+    get minConfidence() {
+        return this._minConfidence;
+    } // get minConfidence()
+
+    /**
+     * Get whether every staff is warped with its own warping function
+     */
+    get perStaff() {
+        return this._perStaff;
+    } // get perStaff()
+
+    /**
+     * Get the performed pass of repeated passages that is warped in a not expanded score
+     */
+    get repeatPass() {
+        return this._repeatPass;
+    } // get repeatPass()
+
+    /**
+     * Get whether colliding notes are displaced after warping
+     */
+    get resolveCollisions() {
+        return this._resolveCollisions;
+    } // get resolveCollisions()
+
+    /**
+     * Get whether unplayed notes (velocity -1) are skipped
+     */
+    get skipUnplayed() {
+        return this._skipUnplayed;
+    } // get skipUnplayed()
+
+    /**
+     * Get the systems of the score with their notes, onsets, time span and warping function
+     */
+    get systems() {
+        return this._systems;
+    } // get systems()
+
     /**
      * Get the SVG height
      */
@@ -285,7 +1028,16 @@ class ScoreWarper {
     } // get svgWidth()
 
     /**
-     * Get the time warping function
+     * Get the Verovio timemap of the score used to locate beats of anchors
+     */
+    get timemap() {
+        return this._timemap;
+    } // get timemap()
+
+    /**
+     * Get the warping function of the last warp(): the interpolation used and, for each system,
+     * the knots ([note x, delta, weight] triples after smoothing) and the function x => delta
+     * @returns {Object} {interpolation, systems: [{knots, deltaAt}]}
      */
     get timeWarpingFunction() {
         return this._timeWarpingFunction;
@@ -305,6 +1057,27 @@ class ScoreWarper {
         return this._tmx;
     } // get tmx()
 
+    /**
+     * Get the warp amount, 0 for the engraved and 1 for the warped layout
+     */
+    get warpAmount() {
+        return this._warpAmount;
+    } // get warpAmount()
+
+    /**
+     * Get whether the score is warped (see warp() and unwarp())
+     */
+    get warped() {
+        return this._warped;
+    } // get warped()
+
+    /**
+     * Get the weighting of maps events in the warping function
+     */
+    get weighting() {
+        return this._weighting;
+    } // get weighting()
+
     //#endregion Getters
 
 
@@ -312,13 +1085,102 @@ class ScoreWarper {
     //#region Setters
 
     /**
-     * Set the maps file content and compute coordinates for time, screen, and SVG
+     * Set the maps file content and compute coordinates for time, screen, and SVG.
+     * Several maps files of the score (an array of maps) are replaced by their median consensus
+     * (see consensusMaps()).
      */
     set maps(maps) {
+        if (Array.isArray(maps) && maps.length > 0 && maps.every(Array.isArray)) {
+            maps = ScoreWarper.consensusMaps(maps);
+        }
         this.loadMaps(maps);
         this._maps = maps;
     } // set maps()
 
+    /**
+     * Set the interpolation of the warping function between the notes of the maps file,
+     * as a mode name or as an object {mode, window, tension}. Modes are
+     * 'linear' (piecewise linear, default), 'monotone' (monotone cubic, keeps the order of notes),
+     * 'smoothed' (deltas averaged over a window of neighbouring notes, default 5, and
+     * interpolated by a cardinal spline of the deltas with tension between 0 (Catmull-Rom)
+     * and 1 (deltas flat at the notes), default 0.5) and 'tempo' (local tempo averaged over a window of neighbouring notes
+     * and integrated). Applies to the next warp().
+     * @param {Object|string} interpolation
+     */
+    set interpolation(interpolation) {
+        if (typeof interpolation === 'string') {
+            interpolation = { mode: interpolation };
+        }
+        if (!ScoreWarper.interpolationModes.includes(interpolation.mode)) {
+            throw new Error('Unknown interpolation mode ' + interpolation.mode);
+        }
+        // defaults for missing or non-numeric values
+        this._interpolation = {
+            mode: interpolation.mode,
+            window: Number.isFinite(interpolation.window) ? Math.max(1, Math.round(interpolation.window)) : 5,
+            tension: Number.isFinite(interpolation.tension) ? Math.min(1, Math.max(0, interpolation.tension)) : 0.5
+        };
+    } // set interpolation()
+
+    /**
+     * Set whether warped notes keep the order of the score: the performed positions of
+     * the notes are fitted by a weighted isotonic regression along the score, so that
+     * alignment errors cannot reverse notes (applies to the next warp())
+     */
+    set keepScoreOrder(keepScoreOrder) {
+        this._keepScoreOrder = keepScoreOrder;
+    } // set keepScoreOrder()
+
+    /**
+     * Set the minimal confidence of maps events, events with a lower confidence are
+     * ignored (null for all events). Reloads the maps file content.
+     */
+    set minConfidence(minConfidence) {
+        this._minConfidence = minConfidence;
+        if (this._maps) {
+            this.loadMaps(this._maps);
+        }
+    } // set minConfidence()
+
+    /**
+     * Set whether every staff is warped with its own warping function, computed from the
+     * maps events with notes in that staff only, e.g. to show the right hand playing ahead
+     * of the left (applies to the next warp()). See getWarpingFunctionForElement() for the
+     * function used for barlines and elements spanning staves.
+     */
+    set perStaff(perStaff) {
+        this._perStaff = perStaff;
+    } // set perStaff()
+
+    /**
+     * Set the performed pass of repeated passages ('first' or 'last') that is warped,
+     * if the score is not rendered expanded. Reloads the maps file content.
+     */
+    set repeatPass(repeatPass) {
+        this._repeatPass = repeatPass;
+        if (this._maps) {
+            this.loadMaps(this._maps);
+        }
+    } // set repeatPass()
+
+    /**
+     * Set whether colliding notes are displaced after warping (applies to the next warp())
+     */
+    set resolveCollisions(resolveCollisions) {
+        this._resolveCollisions = resolveCollisions;
+    } // set resolveCollisions()
+
+    /**
+     * Set whether unplayed notes (velocity -1) are skipped: they are neither used to
+     * compute the warping function nor warped individually. Reloads the maps file content.
+     */
+    set skipUnplayed(skipUnplayed) {
+        this._skipUnplayed = skipUnplayed;
+        if (this._maps) {
+            this.loadMaps(this._maps);
+        }
+    } // set skipUnplayed()
+
     /**
      * Set svgObj (the SVG element)
      */
@@ -327,6 +1189,19 @@ class ScoreWarper {
         this.init();
     } // set svgObj()
 
+    /**
+     * Set the Verovio timemap of the score (toolkit.renderToTimemap({ includeMeasures: true })),
+     * to locate beats of anchors at the notes sounding on them; without timemap, beats are
+     * spaced evenly in their measure. Reloads the maps file content.
+     * @param {Array[Object]} timemap
+     */
+    set timemap(timemap) {
+        this._timemap = timemap;
+        if (this._maps) {
+            this.loadMaps(this._maps);
+        }
+    } // set timemap()
+
     /**
      * Set the time warping function
      */
@@ -334,6 +1209,22 @@ class ScoreWarper {
         this._timeWarpingFunction = timeWarpingFunction;
     } // set timeWarpingFunction()
 
+    /**
+     * Set the weighting of maps events in the warping function: 'none' (default),
+     * 'confidence' or 'velocity' (mean velocity of the played notes of an event).
+     * Weights apply to all interpolations (see weightKnots() for linear and monotone
+     * interpolation) and to keepScoreOrder; if no event of a system has a positive weight,
+     * all are weighted equally.
+     * Reloads the maps file content.
+     * @param {string} weighting
+     */
+    set weighting(weighting) {
+        this._weighting = ScoreWarper.#validWeighting(weighting);
+        if (this._maps) {
+            this.loadMaps(this._maps);
+        }
+    } // set weighting()
+
     //#endregion Setters
 
 
@@ -341,74 +1232,576 @@ class ScoreWarper {
     //#region Helper Methods
 
     /**
-     * Computes the warping function for the note SVG x coordinates,
-     * based on the onset SVG x coordinates and the note SVG x coordinates,
-     * stored in the object, and returns an array of warping function values.
-     *
-     * @returns {Array} of warping function values
+     * Returns the x coordinate at which a note, chord or rest is warped: the notehead
+     * for notes (to avoid incorrect shifting with accidentals), the median notehead for
+     * chords and notes inside chords, and the left edge for other elements
+     * @param {Element} element
+     * @returns {number}
      */
-    computeWarpingArray() {
-        let svgWidth = this._svgViewBox[2] - this._svgViewBox[0];
-        // console.debug('onsetSVGXs, ', onsetSVGXs);
-        // console.debug('noteSVGXs, ', noteSVGXs);
-        // console.debug('noteXs, ', noteXs);
-        // console.debug('svgViewBox, ', svgViewBox);
-        // console.debug('warpFunc width: ', width);
-        let warpArr = [];
-        let [j, lastX, lastDiff, currDiff, ip, lastIp] = [0, 0, 0, 0, 0, 0];
-        // go through all x values of the SVG and compute an interpolation value ip for each x
-        for (let currX = 0; currX < svgWidth; currX++) {
-            if (this._noteSVGXs[j] <= currX) {
-                lastX = currX;
-                j++; // increment j, index into noteSVGXs
-            }
-            if (j <= 0 || j >= svgWidth) {
-                ip = lastIp;
-            } else {
-                lastDiff = this._onsetSVGXs[j - 1] - this._noteSVGXs[j - 1]; // last Diff (onset minus note x)
-                currDiff =
-                    this._onsetSVGXs[Math.min(j, this._onsetSVGXs.length - 1)] -
-                    this._noteSVGXs[Math.min(j, this._noteSVGXs.length - 1)]; // current Diff (onset minus note x)
-                ip = lerp(lastDiff, currDiff, (currX - lastX) / (this._noteSVGXs[j] - this._noteSVGXs[j - 1]));
-                if (!ip) ip = lastIp;
-            }
-            warpArr.push(ip); // - noteheadWidthHalf); // store the warping function value
-            lastIp = ip;
-            // console.debug('x: ', x + ', j:' + j + ', ' + v1 + '/' + v2 + ', ip:' + ip);
-        }
-        return warpArr;
-
-        // linear interpolation; t from v0 to v1 - 1
-        function lerp(v0, v1, t) {
-            return (1 - t) * v0 + t * v1;
+    anchorX(element) {
+        let chord = element.closest('.chord');
+        if (chord) {
+            let chordXs = Array.from(chord.querySelectorAll('.notehead')).map((notehead) => this.getBBox(notehead).x);
+            return this.median(chordXs);
+        } else if (element.classList.contains('note')) {
+            return this.noteheadX(element);
         }
-    } // computeWarpingArray()
+        return this.getBBox(element).x;
+    } // anchorX()
 
     /**
-     * Returns first onset index in the maps file
-     * @param {Object} maps
-     * @returns
+     * Returns the SVG x coordinate of a beat of a measure (1 for the downbeat, fractions
+     * allowed), counted in units of its meter: interpolated between the onsets of the notes
+     * of the measure in the timemap, if known, and between the first note (or rest) and
+     * the start of the next measure in the system (or the end of the measure)
+     * @param {Element} measure
+     * @param {number} beat
+     * @param {Array[number]} meter [count, unit]
+     * @param {Object} timing (optional) {qstamp, length, entries} of the measure in the timemap
+     * @returns {number}
+     */
+    #beatX(measure, beat, [count, unit], timing = null) {
+        let startX = (element) => {
+            let xs = Array.from(element.querySelectorAll('.notehead, .rest, .mRest'))
+                .map((item) => this.getBBox(item).x);
+            return xs.length > 0 ? Math.min(...xs) : this.getBBox(element).x;
+        };
+        let next = measure.nextElementSibling;
+        while (next && !next.classList.contains('measure')) {
+            next = next.nextElementSibling;
+        }
+        let bbox = this.getBBox(measure);
+        let length = timing?.length ?? count * 4 / unit; // in quarter notes
+        let points = [[0, startX(measure)], [length, next ? startX(next) : bbox.x + bbox.width]];
+        timing?.entries.forEach((entry) => {
+            let xs = (entry.on ?? []).map((id) => this.getElementForId(id))
+                .filter((note) => note && measure.contains(note))
+                .map((note) => this.noteheadX(note))
+                .filter((x) => !isNaN(x));
+            if (xs.length > 0) {
+                points.push([entry.qstamp - timing.qstamp, Math.min(...xs)]);
+            }
+        });
+        points.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+        let q = (beat - 1) * 4 / unit; // quarter notes from the downbeat
+        let i = points.findIndex((point) => point[0] >= q);
+        if (i <= 0) {
+            return points[i === 0 ? 0 : points.length - 1][1];
+        }
+        let [[q1, x1], [q2, x2]] = [points[i - 1], points[i]];
+        return (q2 === q1) ? x2 : x1 + (q - q1) / (q2 - q1) * (x2 - x1);
+    } // beatX()
+
+    /**
+     * Returns the asynchrony of the performed chords in this SVG: notes of the same maps event
+     * and notes of the same chord element belong to one chord, so that chords are found both
+     * when the aligner groups notes and when it gives the notes of a chord their own onsets.
+     * For chords of at least two performed notes, the onsets are compared: the spread is the
+     * time from the first to the last note, the leads are the notes played first (none if all
+     * notes are played together), the top note is the highest notehead, and the melody lead is
+     * the mean onset of the other notes minus the onset of the top note (positive: the top note,
+     * usually the melody, is played early).
+     * @param {Object} maps (optional) defaults to the loaded maps
+     * @returns {Array[Object]} chords {ids (rendered), mapsIdxs, onsets, onset (first), spread,
+     * leads, top, melodyLead}, times in seconds, sorted by onset
+     */
+    chordAsynchronies(maps = this._maps) {
+        if (!Array.isArray(maps)) {
+            throw new Error('ScoreWarper chordAsynchronies(): no maps file content loaded.');
+        }
+        let renderedIds = this.#resolveRenderedIds(maps);
+        let notes = new Map(); // rendered id -> {id, mapsIdx, onset}
+        maps.forEach((item, i) => {
+            if (i < this.firstOnsetIdx(maps) || i > this.lastOnsetIdx(maps) || this.#eventWeight(item) === null) {
+                return;
+            }
+            renderedIds[i].forEach((id, k) => {
+                if (id !== null && !(this._skipUnplayed && item.velocity?.[k] === -1)) {
+                    notes.set(id, { id: id, mapsIdx: i, onset: item.obs_mean_onset });
+                }
+            });
+        });
+
+        // union-find of the notes of the same maps event or chord element
+        let parents = new Map([...notes.keys()].map((id) => [id, id]));
+        let find = (id) => {
+            while (parents.get(id) !== id) id = parents.get(id);
+            return id;
+        };
+        let union = (ids) => ids.slice(1).forEach((id) => parents.set(find(id), find(ids[0])));
+        renderedIds.forEach((ids) => union(ids.filter((id) => notes.has(id))));
+        this._svgObj.querySelectorAll('.chord').forEach((chord) => {
+            union(Array.from(chord.querySelectorAll('.note'))
+                .map((note) => note.getAttribute('data-id') || note.getAttribute('id'))
+                .filter((id) => notes.has(id)));
+        });
+        let groups = new Map(); // root id -> notes
+        notes.forEach((note, id) => {
+            let root = find(id);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(note);
+        });
+
+        let headY = (id) => {
+            let notehead = this.getElementForId(id).querySelector('.notehead');
+            return notehead ? this.getBBox(notehead).y : Infinity;
+        };
+        return [...groups.values()].filter((group) => group.length > 1).map((group) => {
+            let onsets = group.map((note) => note.onset);
+            let [first, last] = [Math.min(...onsets), Math.max(...onsets)];
+            let ys = group.map((note) => headY(note.id));
+            let top = group[ys.indexOf(Math.min(...ys))];
+            let others = group.filter((note) => note !== top);
+            return {
+                ids: group.map((note) => note.id),
+                mapsIdxs: group.map((note) => note.mapsIdx),
+                onsets: onsets,
+                onset: first,
+                spread: last - first,
+                leads: (last > first) ? group.filter((note) => note.onset === first).map((note) => note.id) : [],
+                top: top.id,
+                melodyLead: others.reduce((sum, note) => sum + note.onset, 0) / others.length - top.onset
+            };
+        }).sort((a, b) => a.onset - b.onset);
+    } // chordAsynchronies()
+
+    /**
+     * Samples the warping function of a system at every integer SVG x coordinate
+     * (e.g., for plotting it, see gui.js drawWarpFunction())
+     *
+     * @param {Object|number} system system object or index (default: first system)
+     * @param {Object} interpolation {mode, window, tension} (default: current interpolation)
+     * @returns {Array} of warping function values
+     */
+    computeWarpingArray(system = 0, interpolation = this._interpolation) {
+        let warpingFunction = this.computeWarpingFunction(system, interpolation);
+        let svgWidth = this._svgViewBox[2] - this._svgViewBox[0];
+        return Array.from({ length: Math.max(0, Math.ceil(svgWidth)) }, (v, x) => warpingFunction(x));
+    } // computeWarpingArray()
+
+    /**
+     * Computes the warping function for the note SVG x coordinates of a system,
+     * based on the onset SVG x coordinates and the note SVG x coordinates,
+     * stored in the object. The function is defined by its knots (note x, delta),
+     * which are stored in the system object (warpKnots), and is evaluated by binary
+     * search for any x coordinate, keeping the first and last deltas outside the notes.
+     *
+     * @param {Object|number} system system object or index (default: first system)
+     * @param {Object} interpolation {mode, window, tension} (default: current interpolation)
+     * @returns {Function} x => delta (onset x minus note x)
+     */
+    computeWarpingFunction(system = 0, interpolation = this._interpolation) {
+        if (typeof system === 'number') {
+            system = this._systems[system];
+        }
+        let noteSVGXs = system?.noteSVGXs ?? [];
+        let onsetSVGXs = system?.onsetSVGXs ?? [];
+        let weights = system?.weights ?? [];
+        if (!weights.some((weight) => weight > 0)) {
+            weights = noteSVGXs.map(() => 1);
+        }
+
+        let knots = this.#warpKnots(noteSVGXs, onsetSVGXs, weights);
+        if (this._keepScoreOrder) {
+            knots = this.#orderKnots(knots);
+        }
+        if (interpolation.mode === 'smoothed') {
+            knots = this.#smoothKnots(knots, interpolation.window);
+        } else if (interpolation.mode === 'tempo') {
+            knots = this.#tempoKnots(knots, interpolation.window);
+        } else {
+            knots = this.#weightKnots(knots);
+        }
+        if (system) {
+            system.warpKnots = knots;
+        }
+        return this.#interpolateKnots(knots, interpolation);
+    } // computeWarpingFunction()
+
+    /**
+     * Computes a warping function for every staff of a system from the maps events with notes
+     * in that staff (and events without notes, e.g. sparse anchors, which apply to all staves),
+     * so that the hands of piano music are warped independently. Staves without events are
+     * warped with the function of the system. The knots are stored in the functions (knots).
+     * @param {Object} system system object
+     * @param {Object} interpolation {mode, window, tension} (default: current interpolation)
+     * @returns {Map} staff number -> function x => delta
+     */
+    #computeStaffWarpingFunctions(system, interpolation = this._interpolation) {
+        let functions = new Map();
+        let staffNumbers = new Set(system.staves.flat());
+        Array.from(staffNumbers).sort((a, b) => a - b).forEach((staff) => {
+            let idxs = system.staves.map((staves, j) => (staves.length === 0 || staves.includes(staff)) ? j : -1)
+                .filter((j) => j >= 0);
+            let staffSystem = {
+                noteSVGXs: idxs.map((j) => system.noteSVGXs[j]),
+                onsetSVGXs: idxs.map((j) => system.onsetSVGXs[j]),
+                weights: idxs.map((j) => system.weights[j])
+            };
+            let warpFunc = this.computeWarpingFunction(staffSystem, interpolation);
+            warpFunc.knots = staffSystem.warpKnots;
+            functions.set(staff, warpFunc);
+        });
+        return functions;
+    } // computeStaffWarpingFunctions()
+
+    /**
+     * Returns the numbers of the staves the performed notes of a maps event are engraved in
+     * (see staffNumber()), or an empty array for events without notes (e.g., sparse anchors)
+     * @param {number} i maps index
+     * @returns {Array[number]}
+     */
+    #eventStaves(i) {
+        let staves = new Set();
+        (this._renderedIds[i] ?? []).forEach((id) => {
+            let staff = id !== null ? this.staffNumber(this.getElementForId(id)) : null;
+            if (staff !== null) {
+                staves.add(staff);
+            }
+        });
+        return Array.from(staves);
+    } // eventStaves()
+
+    /**
+     * Returns the weight of a maps event in the warping function (see weighting setter),
+     * or null, if the event is ignored: without onset, with inserted notes only,
+     * or with a confidence below minConfidence
+     * @param {Object} item maps entry
+     * @returns {number|null}
+     */
+    #eventWeight(item) {
+        if (!Number.isFinite(item.obs_mean_onset) || this.isInserted(item) ||
+            (this._minConfidence !== null && item.confidence < this._minConfidence)) {
+            return null;
+        }
+        if (this._weighting === 'confidence') {
+            return Math.max(item.confidence ?? 0, 0);
+        } else if (this._weighting === 'velocity') {
+            let velocities = (item.velocity ?? []).filter((velocity) => Number.isFinite(velocity) && velocity >= 0);
+            return velocities.length > 0 ? velocities.reduce((a, b) => a + b, 0) / velocities.length : 0;
+        }
+        return 1;
+    } // eventWeight()
+
+    /**
+     * Returns the score positions of the maps events in the engraved layout, without loading
+     * the maps, e.g. to compare the timing of several performances of this score. Events are
+     * resolved and ignored as in loadMaps(). A warped score is measured at warp amount 0
+     * and then restored.
+     * @param {Object} maps
+     * @returns {Array[Object]} {mapsIdx, onset, note, x, system} for each located event of the
+     * onset range, with the note (or measure of an anchor), its SVG x and its g.system element
+     */
+    eventPositions(maps) {
+        let warpAmount = this._warped ? this._warpAmount : null;
+        if (warpAmount !== null) {
+            this.setWarpAmount(0);
+        }
+        let { positions } = this.#locateEvents(maps);
+        if (warpAmount !== null) {
+            this.setWarpAmount(warpAmount);
+        }
+        let events = [];
+        positions.forEach(({ note, x }, i) => {
+            if (note && !isNaN(x) && i >= this.firstOnsetIdx(maps) && i <= this.lastOnsetIdx(maps)) {
+                events.push({
+                    mapsIdx: i,
+                    onset: maps[i].obs_mean_onset,
+                    note: note,
+                    x: x,
+                    system: note.closest('.system') || this._svgObj
+                });
+            }
+        });
+        return events;
+    } // eventPositions()
+
+    /**
+     * Returns first onset index in the maps file
+     * @param {Object} maps
+     * @returns
      */
     firstOnsetIdx(maps) {
         let i = 0;
-        while (maps[i].obs_mean_onset < 0) i++;
+        while (i < maps.length - 1 && maps[i].obs_mean_onset < 0) i++;
         // console.debug('getFirstOnsetIdx i: ' + i);
         return i;
     } // firstOnsetIdx()
 
+    /**
+     * Returns the bounding box of an element, either from the browser's layout engine
+     * or, in headless mode, computed from the SVG attributes
+     * @param {Element} element
+     * @param {Boolean} inParentSpace if true, the element's own transform is applied
+     * @returns {Object} {x, y, width, height}
+     */
+    getBBox(element, inParentSpace = false) {
+        let bbox = this._headless ? this._geometry.getBBox(element) : element.getBBox();
+        if (inParentSpace) {
+            bbox = SvgGeometry.transformBBox(bbox, element.getAttribute('transform'));
+        }
+        return bbox;
+    } // getBBox()
+
+    /**
+     * Returns the id of the rendered element for a maps id. Maps aligned to an expanded score
+     * refer to repeated notes with a '-rend2', '-rend3', ... suffix (as Verovio names the copies
+     * of expanded elements); if the score is not rendered expanded, these are resolved to
+     * the notated element.
+     * @param {string} id
+     * @returns {string} rendered element id, or null if not found
+     */
+    getRenderedId(id) {
+        if (this.getElementForId(id)) {
+            return id;
+        }
+        let notatedId = id.replace(/-rend\d+$/, '');
+        if (notatedId !== id && this.getElementForId(notatedId)) {
+            return notatedId;
+        }
+        return null;
+    } // getRenderedId()
+
+    /**
+     * Returns the start and end notes (or chords, rests) an element is anchored to, referenced
+     * through data-startid/data-endid, data-plist or data-related (see anchorAttributes),
+     * or the first and last notes inside the element (e.g., for tuplets). Halves of spanners
+     * broken across systems (class 'spanning', 'id-<id>') are anchored like the spanner itself.
+     * @param {Element} element
+     * @returns {Object} {start, end} elements, or null if not found
+     */
+    getAnchors(element) {
+        let source = element;
+        if (!element.hasAttribute('data-startid')) {
+            let idClass = element.classList.contains('spanning') &&
+                Array.from(element.classList).find((className) => className.startsWith('id-'));
+            source = (idClass && this.getElementForId(idClass.slice(3))) || element;
+        }
+        let ids = ['data-plist', 'data-related']
+            .map((attr) => source.getAttribute(attr)?.trim().split(/\s+/) || [])
+            .find((list) => list.length > 0 && list[0]) || [];
+        let startId = source.getAttribute('data-startid') || ids[0];
+        let endId = source.getAttribute('data-endid') || ids[ids.length - 1];
+        let start = startId ? this.getElementForId(this.rmHash(startId)) : null;
+        let end = endId ? this.getElementForId(this.rmHash(endId)) : null;
+        if (!start && !end) {
+            let notes = element.querySelectorAll('.note, .rest');
+            start = notes.item(0) || null;
+            end = notes.item(notes.length - 1) || null;
+        }
+        return { start: start, end: end };
+    } // getAnchors()
+
+    /**
+     * Returns x coordinate and delta of the start and end anchors of an element (see getAnchors()).
+     * Anchors that are missing or engraved in another system are replaced by the left and right
+     * edges of the element, respectively.
+     * @param {Element} element
+     * @param {Function} warpingFunction
+     * @returns {Array[Object]} [{x, xShift}, {x, xShift}]
+     */
+    getAnchorShifts(element, warpingFunction) {
+        let bbox = this.getBBox(element);
+        let system = this.getSystemForElement(element);
+        let { start, end } = this.getAnchors(element);
+        let anchorShift = (note, edgeX) => {
+            if (note && this.getSystemForElement(note) === system) {
+                // notes are shifted with the warping function of their own staff
+                let noteFunction = this.getWarpingFunctionForElement(note) ?? warpingFunction;
+                return { x: this.anchorX(note), xShift: this.noteShift(note, noteFunction) };
+            }
+            return { x: edgeX, xShift: warpingFunction(edgeX) };
+        };
+        return [anchorShift(start, bbox.x), anchorShift(end, bbox.x + bbox.width)];
+    } // getAnchorShifts()
+
     /**
      * Returns the SVG element for a given id, based either on the id or the data-id attribute
      * @param {string} id
      * @returns
      */
     getElementForId(id) {
-        let el = this._svgObj.querySelector(`[*|id="${id}"]`);
+        let el = this._svgObj.querySelector(`[id="${id}"]`);
         if (!el) {
             el = this._svgObj.querySelector(`[data-id="${id}"]`);
         }
         return el;
     } // getElementForId()
 
+    /**
+     * Returns the system object of the system an element is engraved in.
+     * Elements outside of any system (e.g., lines drawn into the page) belong to the first system.
+     * @param {Element} element
+     * @returns {Object} system object or undefined, if the system has no notes in the maps file
+     */
+    getSystemForElement(element) {
+        let systemElement = element.closest('.system');
+        if (!systemElement) {
+            return this._systems?.[0];
+        }
+        return this._systems?.find((system) => system.element === systemElement);
+    } // getSystemForElement()
+
+    /**
+     * Returns the warping function an element is warped with, scaled by the warp amount.
+     * Without perStaff, this is the function of its system. With perStaff, elements inside
+     * a staff (notes, chords, beams, clefs, ...) use the function of that staff, even if
+     * their notes are drawn in another staff (cross-staff notes and beams stay with the staff
+     * that holds them in the SVG). Elements outside staves anchored to notes (dynamics, slurs,
+     * arpeggios, ...) use the function of the staff of their start and end notes, or the mean
+     * of both functions, if these are in different staves. All other elements (barlines,
+     * measure numbers, ...) use the function of the system, fitted to all staves.
+     * @param {Element} element
+     * @returns {Function} x => delta, or undefined, if the system has no performed notes
+     */
+    getWarpingFunctionForElement(element) {
+        let system = this.getSystemForElement(element);
+        if (!system?.appliedWarpFunc || !system.appliedStaffWarpFuncs?.size) {
+            return system?.appliedWarpFunc;
+        }
+        let staves = new Set();
+        let staff = this.staffNumber(element);
+        if (staff !== null) {
+            staves.add(staff);
+        } else {
+            let { start, end } = this.getAnchors(element);
+            [start, end].forEach((note) => {
+                let noteStaff = note && this.getSystemForElement(note) === system ? this.staffNumber(note) : null;
+                if (noteStaff !== null) {
+                    staves.add(noteStaff);
+                }
+            });
+        }
+        let functions = Array.from(staves, (n) => system.appliedStaffWarpFuncs.get(n)).filter((f) => f);
+        if (functions.length === 0) {
+            return system.appliedWarpFunc;
+        } else if (functions.length === 1) {
+            return functions[0];
+        }
+        return (x) => functions.reduce((sum, f) => sum + f(x), 0) / functions.length;
+    } // getWarpingFunctionForElement()
+
+    /**
+     * Returns a function interpolating the deltas of knots (sorted [x, delta] pairs):
+     * a piecewise linear function (modes 'linear' and 'tempo'), a monotone cubic function
+     * of the warped positions x + delta ('monotone', Fritsch-Carlson), or a cardinal spline
+     * ('smoothed'). Outside the knots, the first and last deltas are kept.
+     * @param {Array} knots
+     * @param {Object} interpolation {mode, tension}
+     * @returns {Function} x => delta
+     */
+    #interpolateKnots(knots, interpolation) {
+        let n = knots.length;
+        let xs = knots.map((knot) => knot[0]);
+        let ys = knots.map((knot) => knot[0] + knot[1]); // warped positions
+        let slopes = []; // slopes of warped positions at knots
+        let secants = [];
+        for (let k = 0; k < n - 1; k++) {
+            secants.push((ys[k + 1] - ys[k]) / (xs[k + 1] - xs[k]));
+        }
+        if (interpolation.mode === 'monotone') {
+            for (let k = 0; k < n; k++) {
+                if (k === 0 || k === n - 1) {
+                    slopes.push(secants[k === 0 ? 0 : n - 2] ?? 1);
+                } else if (secants[k - 1] * secants[k] <= 0) {
+                    slopes.push(0);
+                } else {
+                    slopes.push((secants[k - 1] + secants[k]) / 2);
+                }
+            }
+            // limit slopes to keep every interval monotone
+            for (let k = 0; k < n - 1; k++) {
+                if (secants[k] === 0) {
+                    slopes[k] = slopes[k + 1] = 0;
+                    continue;
+                }
+                let a = slopes[k] / secants[k];
+                let b = slopes[k + 1] / secants[k];
+                let h = a * a + b * b;
+                if (h > 9) {
+                    let tau = 3 / Math.sqrt(h);
+                    slopes[k] = tau * a * secants[k];
+                    slopes[k + 1] = tau * b * secants[k];
+                }
+            }
+        } else if (interpolation.mode === 'smoothed') {
+            for (let k = 0; k < n; k++) {
+                let [k0, k1] = [Math.max(0, k - 1), Math.min(n - 1, k + 1)];
+                let slope = (k1 > k0) ? (ys[k1] - ys[k0]) / (xs[k1] - xs[k0]) : 1;
+                slopes.push((1 - interpolation.tension) * slope + interpolation.tension * 1);
+            }
+        }
+
+        return (x) => {
+            if (n === 0) {
+                return 0;
+            }
+            if (x <= xs[0]) {
+                return knots[0][1];
+            }
+            if (x >= xs[n - 1]) {
+                return knots[n - 1][1];
+            }
+            // binary search for the interval [xs[k], xs[k + 1]] containing x
+            let [k, hi] = [0, n - 1];
+            while (hi - k > 1) {
+                let mid = (k + hi) >> 1;
+                if (xs[mid] <= x) {
+                    k = mid;
+                } else {
+                    hi = mid;
+                }
+            }
+            let width = xs[k + 1] - xs[k];
+            let t = (x - xs[k]) / width;
+            if (slopes.length === 0) {
+                return (1 - t) * knots[k][1] + t * knots[k + 1][1];
+            }
+            // cubic Hermite interpolation of warped positions
+            let [t2, t3] = [t * t, t * t * t];
+            let y = (2 * t3 - 3 * t2 + 1) * ys[k] + (t3 - 2 * t2 + t) * width * slopes[k] +
+                (-2 * t3 + 3 * t2) * ys[k + 1] + (t3 - t2) * width * slopes[k + 1];
+            return y - x;
+        };
+    } // interpolateKnots()
+
+    /**
+     * Returns whether a maps event holds only notes inserted by the aligner
+     * (performed notes not found in the score), i.e. 'trompa-align_inserted_*' ids,
+     * and no anchor
+     * @param {Object} item maps entry
+     * @returns {boolean}
+     */
+    isInserted(item) {
+        return !item.anchor && item.xml_id.every((id) => id.includes('trompa-align_inserted'));
+    } // isInserted()
+
+    /**
+     * Isotonic regression (pool adjacent violators): returns the non-decreasing sequence
+     * closest to the given values (in the weighted least squares sense)
+     * @param {Array[number]} values
+     * @param {Array[number]} weights (optional) defaults to 1 for each value
+     * @returns {Array[number]}
+     */
+    isotonicRegression(values, weights = []) {
+        let blocks = []; // pooled blocks of {mean, weight, count}
+        values.forEach((value, i) => {
+            blocks.push({ mean: value, weight: weights[i] ?? 1, count: 1 });
+            while (blocks.length > 1 && blocks[blocks.length - 2].mean > blocks[blocks.length - 1].mean) {
+                let b = blocks.pop();
+                let a = blocks.pop();
+                let weight = a.weight + b.weight;
+                blocks.push({
+                    mean: (a.mean * a.weight + b.mean * b.weight) / weight,
+                    weight: weight,
+                    count: a.count + b.count
+                });
+            }
+        });
+        return blocks.flatMap((block) => Array(block.count).fill(block.mean));
+    } // isotonicRegression()
+
     /**
      * Returns last onset index in the maps file
      * @param {Object} maps
@@ -416,11 +1809,120 @@ class ScoreWarper {
      */
     lastOnsetIdx(maps) {
         let i = maps.length - 1;
-        while (maps[i].xml_id[0].includes('trompa')) i--;
+        while (i > 0 && this.isInserted(maps[i])) i--;
         // console.debug('getLastOnsetIdx i: ' + i);
         return i;
     } // lastOnsetIdx()
 
+    /**
+     * Returns the time shown at SVG x coordinate x in the current layout of a system
+     * (inverse of time2layout()), e.g. to seek by clicking into the score
+     * @param {number} x SVG x
+     * @param {Object|number} system system object or index
+     * @returns {number} time in seconds
+     */
+    layout2time(x, system = 0) {
+        if (typeof system === 'number') {
+            system = this._systems[system];
+        }
+        if (!system) {
+            return NaN;
+        }
+        let [warpFunc, amount] = this.#layoutWarp(system);
+        let engravedX = this.#solveIncreasing((x) => x + amount * warpFunc(x), x);
+        return this.svg2time(engravedX + warpFunc(engravedX), system);
+    } // layout2time()
+
+    /**
+     * Returns the warping function of a system (computed once with the current
+     * interpolation, if not warped) and the warp amount of the current layout
+     * @param {Object} system
+     * @returns {Array} [warpFunc, amount]
+     */
+    #layoutWarp(system) {
+        if (this._warped) {
+            return [system.warpFunc, this._warpAmount];
+        }
+        system.previewWarpFunc ??= this.computeWarpingFunction(system);
+        return [system.previewWarpFunc, 0];
+    } // layoutWarp()
+
+    /**
+     * Maps the ids of maps events to rendered element ids, without ignored events and
+     * unplayed notes, and locates the score note (or anchor) of each event
+     * @param {Object} maps
+     * @returns {Object} {weights, renderedIds, positions}, parallel to maps: the event weights
+     * (null for ignored events), the rendered ids and the {note, x} of each event, with the note
+     * (or measure of an anchor) and the left edge of its notehead (or anchor x), or {note: null}
+     */
+    #locateEvents(maps) {
+        let weights = maps.map((item) => this.#eventWeight(item));
+        let renderedIds = this.#resolveRenderedIds(maps).map((ids, i) =>
+            ids.map((id, k) => (weights[i] === null ||
+                (this._skipUnplayed && maps[i].velocity?.[k] === -1)) ? null : id));
+        let anchorPositions = this.#resolveAnchorPositions(maps);
+        let positions = maps.map((item, i) => {
+            if (anchorPositions[i] && weights[i] !== null) {
+                return { note: anchorPositions[i].measure, x: anchorPositions[i].x };
+            }
+            let renderedId = renderedIds[i].find((id) => id !== null);
+            let note = renderedId ? this.getElementForId(renderedId) : null;
+            // take left edge of note heads as x value
+            return { note: note, x: note ? this.noteheadX(note) : NaN };
+        });
+        return { weights: weights, renderedIds: renderedIds, positions: positions };
+    } // locateEvents()
+
+    /**
+     * Returns the indices of a longest non-decreasing subsequence of values
+     * @param {Array[number]} values
+     * @returns {Set[number]} indices
+     */
+    #longestNonDecreasing(values) {
+        let tails = []; // index of the last value of the best subsequence of each length
+        let predecessors = [];
+        values.forEach((value, i) => {
+            // first subsequence length whose last value is greater than value
+            let [low, high] = [0, tails.length];
+            while (low < high) {
+                let mid = (low + high) >> 1;
+                if (values[tails[mid]] <= value) {
+                    low = mid + 1;
+                } else {
+                    high = mid;
+                }
+            }
+            predecessors[i] = low > 0 ? tails[low - 1] : -1;
+            tails[low] = i;
+        });
+        let indices = new Set();
+        for (let i = tails[tails.length - 1] ?? -1; i >= 0; i = predecessors[i]) {
+            indices.add(i);
+        }
+        return indices;
+    } // longestNonDecreasing()
+
+    /**
+     * Returns the meters [count, unit] of the measures of this SVG, from the last meter
+     * signature before or in them (4/4 before the first one, see anchorAttributes)
+     * @returns {Map} measure element -> [count, unit]
+     */
+    #measureMeters() {
+        let meters = new Map();
+        let meter = [4, 4];
+        this._svgObj.querySelectorAll('.measure, .meterSig[data-count]').forEach((element) => {
+            if (element.classList.contains('meterSig')) {
+                meter = [parseFloat(element.getAttribute('data-count')) || 4,
+                    parseFloat(element.getAttribute('data-unit')) || 4];
+            }
+            let measure = element.closest('.measure'); // the measure itself or the measure of the meter
+            if (measure) {
+                meters.set(measure, meter);
+            }
+        });
+        return meters;
+    } // measureMeters()
+
     /**
      * Computes the median of an array of numbers
      * @param {Array[Number]} numbers
@@ -437,6 +1939,60 @@ class ScoreWarper {
         return sorted[middle];
     } // median()
 
+    /**
+     * Returns the x coordinate of the (first) notehead of a note or chord element
+     * @param {Element} note
+     * @returns {number} left edge of notehead in SVG coordinates
+     */
+    noteheadX(note) {
+        let notehead = note?.querySelector('.notehead');
+        return notehead ? this.getBBox(notehead).x : NaN;
+    } // noteheadX()
+
+    /**
+     * Returns the delta a note, chord or rest is translated by: the warping function
+     * delta at its x position (see anchorX()) plus its displacement to resolve collisions.
+     * Notes inside chords are translated with their chord.
+     * @param {Element} element
+     * @param {Function} warpingFunction
+     * @returns {number}
+     */
+    noteShift(element, warpingFunction) {
+        let event = element.closest('.chord') || element;
+        return warpingFunction(this.anchorX(element)) + this._warpAmount * (this._displacements.get(event) ?? 0);
+    } // noteShift()
+
+    /**
+     * Returns the MIDI velocities of the performed notes of maps in this SVG, with the staff
+     * (number of the staff in its measure, e.g. 1 for the right and 2 for the left hand of
+     * piano music) they are engraved in. Notes are resolved like in loadMaps() (one pass of
+     * repeats in a score that is not expanded); notes without velocity (unplayed: -1) are left out.
+     * @param {Object} maps (optional) defaults to the loaded maps
+     * @returns {Array[Object]} {id (rendered), mapsIdx, onset, velocity, staff}
+     */
+    noteVelocities(maps = this._maps) {
+        if (!Array.isArray(maps)) {
+            throw new Error('ScoreWarper noteVelocities(): no maps file content loaded.');
+        }
+        let renderedIds = this.#resolveRenderedIds(maps);
+        let notes = [];
+        maps.forEach((item, i) => {
+            if (i < this.firstOnsetIdx(maps) || i > this.lastOnsetIdx(maps)) {
+                return;
+            }
+            renderedIds[i].forEach((id, k) => {
+                let velocity = item.velocity?.[k];
+                if (id !== null && typeof velocity === 'number' && velocity > 0) {
+                    notes.push({
+                        id: id, mapsIdx: i, onset: item.obs_mean_onset, velocity: velocity,
+                        staff: this.staffNumber(this.getElementForId(id)) ?? 1
+                    });
+                }
+            });
+        });
+        return notes;
+    } // noteVelocities()
+
     /**
      * Removes leading hash from string if present
      * @param {string} hashedString
@@ -450,6 +2006,311 @@ class ScoreWarper {
         }
     } // rmHash()
 
+    /**
+     * Returns the number of the staff an element is engraved in, counted in its measure
+     * (e.g., 1 for the right and 2 for the left hand of piano music). Cross-staff notes
+     * count to the staff that holds them in the SVG.
+     * @param {Element} element
+     * @returns {number} or null, if the element is not inside a staff
+     */
+    staffNumber(element) {
+        let staff = element?.closest('.staff');
+        if (!staff) {
+            return null;
+        }
+        let staves = Array.from(staff.parentNode.children).filter((child) => child.classList.contains('staff'));
+        return staves.indexOf(staff) + 1;
+    } // staffNumber()
+
+    /**
+     * Detects notes, chords and rests whose bounding boxes (including accidentals, dots and
+     * flags) would overlap within a staff after warping and computes the displacements that
+     * separate them by collisionPadding, keeping the sum of squared displacements from the
+     * performed onsets minimal. Events at the same x position (e.g., in different layers)
+     * are displaced together; overlaps already engraved by Verovio are not widened.
+     * Clefs, key and meter signatures are obstacles that are not displaced.
+     */
+    #resolveCollisions() {
+        this._svgObj.querySelectorAll('.staff').forEach((staff) => {
+            let system = this.getSystemForElement(staff);
+            let warpingFunction = system?.staffWarpFuncs?.get(this.staffNumber(staff)) ?? system?.warpFunc;
+            if (!warpingFunction) {
+                return;
+            }
+
+            // columns of events at the same x position
+            let columns = [];
+            staff.querySelectorAll('.chord, .note, .rest, .clef, .keySig, .meterSig').forEach((event) => {
+                if (event.classList.contains('note') && event.closest('.chord')) {
+                    return;
+                }
+                let isObstacle = !event.matches('.chord, .note, .rest');
+                let bbox = this.getBBox(event);
+                let x = isObstacle ? bbox?.x : this.anchorX(event);
+                if (isNaN(x) || !bbox || bbox.width === 0) {
+                    return;
+                }
+                let column = columns.find((column) => Math.abs(column.x - x) < 1 && !column.isObstacle && !isObstacle);
+                if (!column) {
+                    column = { x: x, xShift: warpingFunction(x), events: [], isObstacle: isObstacle };
+                    column.left = column.top = Infinity;
+                    column.right = column.bottom = -Infinity;
+                    columns.push(column);
+                }
+                column.events.push(event);
+                column.left = Math.min(column.left, bbox.x);
+                column.right = Math.max(column.right, bbox.x + bbox.width);
+                column.top = Math.min(column.top, bbox.y);
+                column.bottom = Math.max(column.bottom, bbox.y + bbox.height);
+            });
+            columns.sort((a, b) => a.x - b.x);
+
+            // split into chains of columns overlapping any column of their chain vertically
+            // (so that the columns around one in between, e.g. a high note between two low notes,
+            // are kept apart as well), with the minimal difference of displacements between
+            // neighbours (d[k + 1] - d[k] >= minDiff[k])
+            let chains = [];
+            let chain;
+            columns.forEach((column, k) => {
+                let overlaps = (other) => column.top <= other.bottom && column.bottom >= other.top;
+                if (!chain || !chain.columns.some(overlaps)) {
+                    chain = { columns: [column], minDiffs: [] };
+                    chains.push(chain);
+                    return;
+                }
+                let previous = columns[k - 1];
+                let engravedGap = column.left - previous.right;
+                let warpedGap = engravedGap + column.xShift - previous.xShift;
+                chain.columns.push(column);
+                chain.minDiffs.push(Math.min(this._collisionPadding, engravedGap) - warpedGap);
+            });
+
+            // substituting d[k] = y[k] + c[k] with c[k] = sum of minDiffs before k, the constraints
+            // become y[k + 1] >= y[k], and y is the isotonic regression of -c
+            chains.forEach((chain) => {
+                let offsets = [0];
+                chain.minDiffs.forEach((minDiff, k) => offsets.push(offsets[k] + minDiff));
+                let weights = chain.columns.map((column) => column.isObstacle ? 1e6 : 1);
+                let ys = this.isotonicRegression(offsets.map((c) => -c), weights);
+                chain.columns.forEach((column, k) => {
+                    let displacement = ys[k] + offsets[k];
+                    if (!column.isObstacle) {
+                        column.events.forEach((event) => this._displacements.set(event, displacement));
+                    }
+                });
+            });
+        });
+        console.debug('ScoreWarper resolveCollisions(): ', this._displacements);
+    } // resolveCollisions()
+
+    /**
+     * Makes the warped positions (x + delta) of knots non-decreasing along the score
+     * by a weighted isotonic regression, so that alignment errors cannot reverse notes
+     * @param {Array} knots sorted [x, delta, weight] triples
+     * @returns {Array} ordered knots
+     */
+    #orderKnots(knots) {
+        let warpedXs = this.isotonicRegression(knots.map(([x, delta]) => x + delta),
+            knots.map((knot) => knot[2]));
+        return knots.map(([x, , weight], k) => [x, warpedXs[k] - x, weight]);
+    } // orderKnots()
+
+    /**
+     * Returns the SVG positions of the anchors {measure, beat} of maps events, parallel to maps:
+     * {measure, x} with the measure element and the x coordinate of the beat (see beatX()),
+     * or null for events without anchor or with a measure not in this SVG. Measures are given
+     * by id or by number (data-n, see anchorAttributes). In an expanded score, the n-th anchor
+     * of a measure and beat is located in its n-th pass; in a score with notated repeats,
+     * only the pass selected by repeatPass is kept.
+     * @param {Object} maps
+     * @returns {Array} of {measure, x} or null, parallel to maps
+     */
+    #resolveAnchorPositions(maps) {
+        if (!maps.some((item) => item.anchor)) {
+            return maps.map(() => null);
+        }
+        let measures = Array.from(this._svgObj.querySelectorAll('.measure'));
+        let measureId = (measure) => measure.getAttribute('data-id') || measure.getAttribute('id');
+
+        let meters = this.#measureMeters();
+
+        // timemap entries of the measures: measure id -> {qstamp, length, entries}
+        let timings = new Map();
+        let timing = null;
+        (this._timemap ?? []).forEach((entry) => {
+            if (entry.measureOn) {
+                if (timing) timing.length = entry.qstamp - timing.qstamp;
+                timing = { qstamp: entry.qstamp, length: undefined, entries: [] };
+                timings.set(entry.measureOn, timing);
+            }
+            timing?.entries.push(entry);
+        });
+
+        let occurrences = new Map(); // measure and beat -> number of occurrences so far
+        let passes = new Map(); // rendered measure id and beat -> maps indices
+        let positions = maps.map((item, i) => {
+            if (!item.anchor) {
+                return null;
+            }
+            let name = String(item.anchor.measure);
+            let beat = parseFloat(item.anchor.beat ?? 1) || 1;
+            let key = name + '/' + beat;
+            let n = (occurrences.get(key) ?? 0) + 1;
+            occurrences.set(key, n);
+            let candidates = measures.filter((measure) => measureId(measure) === name ||
+                measureId(measure).replace(/-rend\d+$/, '') === name);
+            if (candidates.length === 0) {
+                candidates = measures.filter((measure) => measure.getAttribute('data-n') === name);
+            }
+            let measure = candidates[n - 1] ?? ((candidates.length === 1) ? candidates[0] : null);
+            if (!measure) {
+                console.debug(i + '; anchor measure NOT FOUND: ' + name);
+                return null;
+            }
+            let x = this.#beatX(measure, beat, meters.get(measure) ?? [4, 4], timings.get(measureId(measure)));
+            let passKey = measureId(measure) + '/' + beat;
+            if (!passes.has(passKey)) passes.set(passKey, []);
+            passes.get(passKey).push(i);
+            return { measure: measure, x: x };
+        });
+
+        // keep only the selected pass of repeatedly performed anchors
+        passes.forEach((idxs) => {
+            let selectedIdx = (this._repeatPass === 'last') ? idxs[idxs.length - 1] : idxs[0];
+            idxs.filter((i) => i !== selectedIdx).forEach((i) => positions[i] = null);
+        });
+        return positions;
+    } // resolveAnchorPositions()
+
+    /**
+     * Maps the xml_ids of all maps entries to rendered element ids. In an expanded score,
+     * repeatedly performed ids without '-rend' suffix are mapped to the copies of their pass.
+     * If a rendered note is referenced by several entries (a repeat performed on a score
+     * that is not expanded),
+     * only the entry of the selected repeat pass (first or last) is kept, all others are
+     * set to null, so that one performed pass is warped consistently.
+     * @param {Object} maps
+     * @param {Function} exists (optional) id => whether the id is rendered, defaults to an element in this SVG
+     * @returns {Array} of arrays of rendered ids (or null), parallel to maps
+     */
+    #resolveRenderedIds(maps, exists = null) {
+        // in an expanded score, the n-th occurrence of an id without suffix is the n-th pass
+        let occurrences = new Map(); // maps id -> number of occurrences so far
+        let renderedIds = maps.map((item) => item.xml_id.map((id) => {
+            let n = (occurrences.get(id) ?? 0) + 1;
+            occurrences.set(id, n);
+            if (!exists) {
+                return (n > 1 && this.getElementForId(id + '-rend' + n)) ? id + '-rend' + n : this.getRenderedId(id);
+            }
+            let notatedId = id.replace(/-rend\d+$/, '');
+            return (n > 1 && exists(id + '-rend' + n)) ? id + '-rend' + n :
+                exists(id) ? id : exists(notatedId) ? notatedId : null;
+        }));
+
+        // collect the maps indices of each rendered note, in performance order
+        let passes = new Map(); // rendered id -> array of maps indices
+        renderedIds.forEach((ids, i) => {
+            ids.forEach((id) => {
+                if (id !== null) {
+                    if (!passes.has(id)) passes.set(id, []);
+                    passes.get(id).push(i);
+                }
+            });
+        });
+
+        // keep only the selected pass of repeatedly performed notes
+        passes.forEach((idxs, id) => {
+            if (idxs.length > 1) {
+                let selectedIdx = (this._repeatPass === 'last') ? idxs[idxs.length - 1] : idxs[0];
+                idxs.filter((i) => i !== selectedIdx).forEach((i) => {
+                    renderedIds[i] = renderedIds[i].map((renderedId) => (renderedId === id) ? null : renderedId);
+                });
+            }
+        });
+        return renderedIds;
+    } // resolveRenderedIds()
+
+    /**
+     * Returns the SVG x coordinate of screen x coordinate x (inverse of svg2screen())
+     * @param {number} x screen x
+     * @returns {number} SVG x
+     */
+    screen2svg(x) {
+        let viewBoxWidth = this._svgViewBox[2] - this._svgViewBox[0];
+        return x * viewBoxWidth / this._svgWidth - this._pageMarginX;
+    } // screen2svg()
+
+    /**
+     * Smooths the deltas of knots by a weighted moving average over a window of neighbouring
+     * knots. The window shrinks towards the first and last knots, so that they keep their deltas.
+     * @param {Array} knots sorted [x, delta, weight] triples
+     * @param {number} window number of knots
+     * @returns {Array} smoothed knots
+     */
+    #smoothKnots(knots, window) {
+        let half = Math.floor(window / 2);
+        return knots.map(([x, delta, weight], k) => {
+            let h = Math.min(half, k, knots.length - 1 - k);
+            let neighbours = knots.slice(k - h, k + h + 1);
+            let weights = neighbours.reduce((sum, knot) => sum + knot[2], 0);
+            return [x, weights > 0
+                ? neighbours.reduce((sum, knot) => sum + knot[1] * knot[2], 0) / weights
+                : delta, weight];
+        });
+    } // smoothKnots()
+
+    /**
+     * Solves f(x) = y for a non-decreasing function f by bisection within the SVG width
+     * (and as far again to each side)
+     * @param {Function} f
+     * @param {number} y
+     * @returns {number} x
+     */
+    #solveIncreasing(f, y) {
+        let width = this._svgViewBox[2] - this._svgViewBox[0];
+        let [low, high] = [-width, 2 * width];
+        for (let i = 0; i < 60 && high - low > 1e-6; i++) {
+            let mid = (low + high) / 2;
+            if (f(mid) < y) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+        return (low + high) / 2;
+    } // solveIncreasing()
+
+    /**
+     * Returns the right end of the staff lines of a system (or the x of its last note,
+     * if it has no staff lines), where the time until the next system is shown (see time2svg())
+     * @param {Object} system system object
+     * @returns {number} SVG x
+     */
+    #systemRightEdge(system) {
+        let ends = Array.from(system.element.querySelectorAll('.staff > path'), (line) => {
+            let bbox = this.getBBox(line);
+            return bbox.x + bbox.width;
+        }).filter((x) => Number.isFinite(x));
+        return Math.max(system.lstSVGX, ...ends);
+    } // systemRightEdge()
+
+    /**
+     * Returns the system object that is played at time t,
+     * i.e. the last system starting before or at t
+     * @param {number} t time in seconds
+     * @returns {Object} system object
+     */
+    systemForTime(t) {
+        let systems = this._systems ?? [];
+        let found = systems[0];
+        systems.forEach((system) => {
+            if (system.tmn <= t && system.tmn >= (found?.tmn ?? -Infinity)) {
+                found = system;
+            }
+        });
+        return found;
+    } // systemForTime()
+
     /**
      * Converts SVG x coordinates into screen x coordinates
      * @param {number} x
@@ -462,33 +2323,629 @@ class ScoreWarper {
     } // svg2screen()
 
     /**
-     * Converts time in seconds to screen coordinate x values
+     * Returns the time at SVG x coordinate x of the time axis of a system (inverse of time2svg())
+     * @param {number} x SVG x
+     * @param {Object|number} system system object or index
+     * @returns {number} time in seconds
+     */
+    svg2time(x, system = 0) {
+        if (typeof system === 'number') {
+            system = this._systems[system];
+        }
+        if (!system) {
+            return NaN;
+        }
+        if (x > system.lstSVGX && Number.isFinite(system.nextTmn)) {
+            let gapWidth = system.rightSVGX - system.lstSVGX;
+            let gapRatio = gapWidth > 0 ? Math.min((x - system.lstSVGX) / gapWidth, 1) : 1;
+            return system.tmx + gapRatio * (system.nextTmn - system.tmx);
+        }
+        let svgWidth = system.lstSVGX - system.fstSVGX;
+        let xRatio = svgWidth > 0 ? (x - system.fstSVGX) / svgWidth : 0;
+        return xRatio * (system.tmx - system.tmn) + system.tmn;
+    } // svg2time()
+
+    /**
+     * Returns the local tempo of a performance per beat or per bar: the performed times of the
+     * beats and bars of the Verovio timemap (see timemap setter) are interpolated between the
+     * onsets of the notes located in it (see timingDeviations(), median onset per score time,
+     * made non-decreasing by isotonic regression), and the tempo of each segment is its number
+     * of beats per minute. Beats follow the meter signatures of this SVG (the unit of the last
+     * meter, 4/4 before the first one), unless options.beat gives the beat in quarter notes.
+     * The smoothed tempo divides the beats of a window of neighbouring segments by their time.
+     * Segments outside the performed notes are left out.
+     * @param {Object} maps (optional) defaults to the loaded maps
+     * @param {Object} options {unit: 'beat' (default) or 'bar'; window: number of segments
+     * (default 1); beat: beat length in quarter notes}
+     * @returns {Array[Object]} segments {measure (timemap id), n (measure number), beat (number in
+     * the measure, 1 for bars), qstamp, quarters, beats, onset, offset (seconds), bpm, smoothedBpm}
+     */
+    tempoCurve(maps = this._maps, options = {}) {
+        let unit = options.unit ?? 'beat';
+        let window = Math.max(1, parseInt(options.window ?? 1) || 1);
+        if (!ScoreWarper.tempoUnits.includes(unit)) {
+            throw new Error('ScoreWarper tempoCurve(): unknown unit ' + unit + ', use one of ' +
+                ScoreWarper.tempoUnits.join(', ') + '.');
+        }
+        let notes = this.#timemapNotes(maps, 'tempoCurve');
+
+        // performed time of a score time (in quarter notes), interpolated between the notes
+        let points = new Map(); // qstamp -> onsets of its notes
+        notes.forEach((note) => {
+            if (!points.has(note.qstamp)) points.set(note.qstamp, []);
+            points.get(note.qstamp).push(note.onset);
+        });
+        let qstamps = [...points.keys()].sort((a, b) => a - b);
+        let onsets = this.isotonicRegression(qstamps.map((q) => this.median(points.get(q))),
+            qstamps.map((q) => points.get(q).length));
+        let timeAt = (q) => {
+            if (qstamps.length < 2 || q < qstamps[0] || q > qstamps[qstamps.length - 1]) {
+                return null;
+            }
+            let k = qstamps.findIndex((value) => value >= q);
+            if (qstamps[k] === q) {
+                return onsets[k];
+            }
+            return onsets[k - 1] + (onsets[k] - onsets[k - 1]) * (q - qstamps[k - 1]) / (qstamps[k] - qstamps[k - 1]);
+        };
+
+        // segments: the bars or beats of the measures in the timemap
+        let meters = this.#measureMeters();
+        let meter = [4, 4];
+        let measures = this._timemap.filter((entry) => entry.measureOn);
+        let end = Math.max(...this._timemap.map((entry) => entry.qstamp));
+        let segments = [];
+        measures.forEach((entry, m) => {
+            let id = this.getRenderedId(entry.measureOn);
+            let element = id ? this.getElementForId(id) : null;
+            meter = (element && meters.get(element)) || meter;
+            let beat = options.beat ?? 4 / meter[1];
+            let start = entry.qstamp;
+            let stop = measures[m + 1]?.qstamp ?? end;
+            let step = (unit === 'bar') ? stop - start : beat;
+            for (let k = 0; start + k * step < stop - 1e-6; k++) {
+                let q1 = start + k * step;
+                let q2 = Math.min(start + (k + 1) * step, stop);
+                segments.push({
+                    measure: entry.measureOn, n: element?.getAttribute('data-n') ?? null, beat: k + 1,
+                    qstamp: q1, quarters: q2 - q1, beats: (q2 - q1) / beat, onset: timeAt(q1), offset: timeAt(q2)
+                });
+            }
+        });
+        segments = segments.filter((segment) => segment.onset !== null && segment.offset !== null);
+
+        // tempo and smoothed tempo in beats per minute
+        let bpm = (beats, time) => (time > 0) ? beats * 60 / time : null;
+        let half = Math.floor(window / 2);
+        segments.forEach((segment, k) => {
+            segment.bpm = bpm(segment.beats, segment.offset - segment.onset);
+            let neighbours = segments.slice(Math.max(0, k - half), k + half + 1);
+            segment.smoothedBpm = bpm(neighbours.reduce((sum, item) => sum + item.beats, 0),
+                neighbours[neighbours.length - 1].offset - neighbours[0].onset);
+        });
+        console.debug('ScoreWarper tempoCurve(): ' + segments.length + ' ' + unit + 's.');
+        return segments;
+    } // tempoCurve()
+
+    /**
+     * Fits a smoothed local tempo to knots and integrates it: the slowness (warped distance per
+     * score distance) between neighbouring knots is averaged over a window of neighbouring
+     * intervals, weighted by their score distance and the weights of their knots, and integrated
+     * from the first knot. The result is scaled to end at the last knot, so that the first and
+     * last knots keep their deltas.
+     * @param {Array} knots sorted [x, delta, weight] triples
+     * @param {number} window number of intervals
+     * @returns {Array} knots of the integrated tempo curve
+     */
+    #tempoKnots(knots, window) {
+        if (knots.length < 3) {
+            return knots;
+        }
+        let half = Math.floor(window / 2);
+        let widths = [];
+        let slownesses = [];
+        let weights = [];
+        for (let k = 0; k < knots.length - 1; k++) {
+            let width = knots[k + 1][0] - knots[k][0];
+            widths.push(width);
+            slownesses.push((width + knots[k + 1][1] - knots[k][1]) / width);
+            weights.push(width * (knots[k][2] + knots[k + 1][2]) / 2);
+        }
+        let smoothed = slownesses.map((slowness, k) => {
+            let [sum, weight] = [0, 0];
+            for (let i = Math.max(0, k - half); i <= Math.min(slownesses.length - 1, k + half); i++) {
+                sum += slownesses[i] * weights[i];
+                weight += weights[i];
+            }
+            return weight > 0 ? sum / weight : slowness;
+        });
+
+        // integrate and scale to the warped span of the knots
+        let first = knots[0];
+        let last = knots[knots.length - 1];
+        let ys = [first[0] + first[1]];
+        smoothed.forEach((slowness, k) => ys.push(ys[k] + slowness * widths[k]));
+        let span = ys[ys.length - 1] - ys[0];
+        let scale = span ? (last[0] + last[1] - ys[0]) / span : 1;
+        return knots.map(([x, , weight], k) => [x, ys[0] + (ys[k] - ys[0]) * scale - x, weight]);
+    } // tempoKnots()
+
+    /**
+     * Returns the SVG x coordinate at which time t is shown in the current layout of a system,
+     * e.g. for a playback cursor: time2svg(t) in the warped layout, the engraved position
+     * that is warped to it in the engraved layout, and in between for other warp amounts
+     * @param {number} t time in seconds
+     * @param {Object|number} system system object or index (default: system played at t)
+     * @returns {number} SVG x
+     */
+    time2layout(t, system = this.systemForTime(t)) {
+        if (typeof system === 'number') {
+            system = this._systems[system];
+        }
+        if (!system) {
+            return NaN;
+        }
+        let [warpFunc, amount] = this.#layoutWarp(system);
+        let engravedX = this.#solveIncreasing((x) => x + warpFunc(x), this.time2svg(t, system));
+        return engravedX + amount * warpFunc(engravedX);
+    } // time2layout()
+
+    /**
+     * Converts time in seconds to screen coordinate x values,
+     * within the time span of a system
      * @param {number} t time in secods
+     * @param {Object|number} system system object or index (default: system played at t)
      */
-    time2screen(t) {
-        // return (t - this._tmn) / (this._tmx - this._tmn) * (this._lstX - this._fstX) + this._fstX;
-        let timeRatio = (t - this._tmn) / (this._tmx - this._tmn);
-        let xRatio = this._lstX - this._fstX;
-        return timeRatio * xRatio + this._fstX;
+    time2screen(t, system = this.systemForTime(t)) {
+        if (typeof system === 'number') {
+            system = this._systems[system];
+        }
+        if (!system) {
+            return NaN;
+        }
+        return this.svg2screen(this.time2svg(t, system));
     } // time2screen()
 
     /**
-     * Converts time in seconds to svg x coordinates inside pageMargin
+     * Converts time in seconds to svg x coordinates inside pageMargin,
+     * within the time span of a system. The time between the last onset of a system and
+     * the first onset after it (on the next system or page) is mapped onto the space between
+     * the last note and the right end of the system, so that x stays within the system.
      * @param {number} t
+     * @param {Object|number} system system object or index (default: system played at t)
      * @returns
      */
-    time2svg(t) {
-        // return (t - this._tmn) / (this._tmx - this._tmn) *
-        //     (this._noteSVGXs[this._noteSVGXs.length - 1] - this._noteSVGXs[0]) + this._noteSVGXs[0];
-        let timeRatio = (t - this._tmn) / (this._tmx - this._tmn);
-        let svgWidth = this._noteSVGXs[this._noteSVGXs.length - 1] - this._noteSVGXs[0];
-        return timeRatio * svgWidth + this._noteSVGXs[0];
+    time2svg(t, system = this.systemForTime(t)) {
+        if (typeof system === 'number') {
+            system = this._systems[system];
+        }
+        if (!system) {
+            return NaN;
+        }
+        if (t > system.tmx && Number.isFinite(system.nextTmn)) {
+            let gapRatio = Math.min((t - system.tmx) / (system.nextTmn - system.tmx), 1);
+            return system.lstSVGX + gapRatio * (system.rightSVGX - system.lstSVGX);
+        }
+        let timeSpan = system.tmx - system.tmn;
+        let timeRatio = timeSpan > 0 ? (t - system.tmn) / timeSpan : 0;
+        let svgWidth = system.lstSVGX - system.fstSVGX;
+        return timeRatio * svgWidth + system.fstSVGX;
     } // time2svg()
 
+    /**
+     * Locates the performed notes of maps in the Verovio timemap of the score by their ids
+     * (the n-th occurrence of an id without '-rend' suffix as '<id>-rend<n>', as the timemap
+     * lists repeated passes like an expanded score), with their rendered ids in this SVG
+     * @param {Object} maps
+     * @param {string} caller name of the public method, for error messages
+     * @returns {Array[Object]} {id, renderedId, mapsIdx, qstamp, onset}
+     */
+    #timemapNotes(maps, caller) {
+        if (!this._timemap) {
+            throw new Error('ScoreWarper ' + caller + '(): the Verovio timemap of the score is needed (timemap option).');
+        }
+        if (!Array.isArray(maps)) {
+            throw new Error('ScoreWarper ' + caller + '(): no maps file content loaded.');
+        }
+        let qstamps = new Map(); // timemap id -> quarter note position of its onset
+        this._timemap.forEach((entry) => (entry.on ?? []).forEach((id) => {
+            if (!qstamps.has(id)) qstamps.set(id, entry.qstamp);
+        }));
+        let timemapIds = this.#resolveRenderedIds(maps, (id) => qstamps.has(id));
+        let renderedIds = this.#resolveRenderedIds(maps);
+        let notes = [];
+        maps.forEach((item, i) => {
+            if (i < this.firstOnsetIdx(maps) || i > this.lastOnsetIdx(maps) || this.#eventWeight(item) === null) {
+                return;
+            }
+            timemapIds[i].forEach((id, k) => {
+                if (id !== null && !(this._skipUnplayed && item.velocity?.[k] === -1)) {
+                    notes.push({
+                        id: id, renderedId: renderedIds[i][k], mapsIdx: i,
+                        qstamp: qstamps.get(id), onset: item.obs_mean_onset
+                    });
+                }
+            });
+        });
+        return notes;
+    } // timemapNotes()
+
+    /**
+     * Returns the timing deviations of the performed notes from the nominal score time: the
+     * notes are located in the Verovio timemap of the score (see timemap setter), which lists
+     * repeated passes with '-rend' ids like an expanded score, a global tempo is fitted to their
+     * quarter note positions (qstamp) and performed onsets by least squares, and the deviation
+     * of each note is its onset minus the fitted onset (positive: late, e.g. lingering;
+     * negative: early, e.g. rushing). The fit covers the whole score, independent of the page;
+     * renderedId is the note element in this SVG (as in loadMaps(), null if not rendered here).
+     * @param {Object} maps (optional) defaults to the loaded maps
+     * @returns {Object} {tempo: {offset, secondsPerQuarter, bpm},
+     * notes: [{id, renderedId, mapsIdx, qstamp, onset, deviation}]}
+     */
+    timingDeviations(maps = this._maps) {
+        let notes = this.#timemapNotes(maps, 'timingDeviations');
+
+        // least squares fit of onset = offset + secondsPerQuarter * qstamp
+        let n = notes.length;
+        let meanQ = notes.reduce((sum, note) => sum + note.qstamp, 0) / n;
+        let meanT = notes.reduce((sum, note) => sum + note.onset, 0) / n;
+        let covariance = notes.reduce((sum, note) => sum + (note.qstamp - meanQ) * (note.onset - meanT), 0);
+        let variance = notes.reduce((sum, note) => sum + (note.qstamp - meanQ) ** 2, 0);
+        let secondsPerQuarter = variance > 0 ? covariance / variance : 0;
+        let offset = n > 0 ? meanT - secondsPerQuarter * meanQ : 0;
+        notes.forEach((note) => note.deviation = note.onset - (offset + secondsPerQuarter * note.qstamp));
+        console.debug('ScoreWarper timingDeviations(): ' + n + ' notes, ' + (60 / secondsPerQuarter).toFixed(1) + ' bpm.');
+        return {
+            tempo: { offset: offset, secondsPerQuarter: secondsPerQuarter, bpm: secondsPerQuarter > 0 ? 60 / secondsPerQuarter : null },
+            notes: notes
+        };
+    } // timingDeviations()
+
+    /**
+     * Returns the knots of the warping function of a system: [note x, delta, weight] triples
+     * sorted by x, with delta = onset x - note x. Notes at the same x get their average delta
+     * (weighted, unless all of their weights are 0) and the sum of their weights.
+     * @param {Array[number]} noteSVGXs
+     * @param {Array[number]} onsetSVGXs
+     * @param {Array[number]} weights weights of the events
+     * @returns {Array} knots
+     */
+    #warpKnots(noteSVGXs, onsetSVGXs, weights) {
+        let triples = noteSVGXs.map((x, i) => [x, onsetSVGXs[i] - x, weights[i]]).sort((a, b) => a[0] - b[0]);
+        let knots = [];
+        let count = 0;
+        triples.forEach(([x, delta, weight]) => {
+            let last = knots[knots.length - 1];
+            if (last && Math.abs(x - last[0]) < 0.5) {
+                last[1] = (last[2] + weight > 0)
+                    ? (last[1] * last[2] + delta * weight) / (last[2] + weight)
+                    : (last[1] * count + delta) / (count + 1);
+                last[2] += weight;
+                count++;
+            } else {
+                knots.push([x, delta, weight]);
+                count = 1;
+            }
+        });
+        return knots;
+    } // warpKnots()
+
+    /**
+     * Fits the deltas of knots to their weights for interpolations that pass through every
+     * knot (linear and monotone): a knot is moved towards the line between its neighbours by
+     * one minus its weight relative to the largest weight of the three, so that a knot of weight
+     * zero (e.g., an event with confidence 0) lies on that line and knots of equal weights
+     * are kept. The first and last knots are kept.
+     * @param {Array} knots sorted [x, delta, weight] triples
+     * @returns {Array} fitted knots
+     */
+    #weightKnots(knots) {
+        return knots.map(([x, delta, weight], k) => {
+            let [previous, next] = [knots[k - 1], knots[k + 1]];
+            let maxWeight = Math.max(weight, previous?.[2] ?? 0, next?.[2] ?? 0);
+            if (!previous || !next || maxWeight <= 0) {
+                return [x, delta, weight];
+            }
+            let ratio = (x - previous[0]) / (next[0] - previous[0]);
+            let lineDelta = previous[1] + ratio * (next[1] - previous[1]);
+            return [x, delta + (1 - weight / maxWeight) * (lineDelta - delta), weight];
+        });
+    } // weightKnots()
+
     //#endregion Helper Methods
 
 
 
+    //#region Element Handlers
+
+    /**
+     * Registers a handler that warps all elements with the given Verovio class name
+     * (e.g., 'slur'), replacing an existing handler for that class. Handlers are called
+     * in registration order as handler(element, scoreWarper, warpingFunction), with the
+     * warping function of the system the element is engraved in. A handler is responsible
+     * for all elements inside its element that are not handled by another handler.
+     * @param {string} className Verovio class name
+     * @param {Function} handler
+     * @param {Boolean} anchored whether the element refers to its start and end notes
+     * through startid/endid/plist (see anchorAttributes)
+     */
+    static registerElementHandler(className, handler, anchored = false) {
+        ScoreWarper.#elementHandlers.set(className, { handler: handler, anchored: anchored });
+    } // registerElementHandler()
+
+    /**
+     * Removes the handler for the given Verovio class name; its elements are then
+     * shifted element by element (as paths, lines, use, text and rect elements)
+     * @param {string} className
+     */
+    static unregisterElementHandler(className) {
+        ScoreWarper.#elementHandlers.delete(className);
+    } // unregisterElementHandler()
+
+    /**
+     * Returns the registered Verovio class names
+     * @returns {Array[string]}
+     */
+    static get elementHandlerClasses() {
+        return Array.from(ScoreWarper.#elementHandlers.keys());
+    } // get elementHandlerClasses()
+
+    /**
+     * Returns the value of Verovio's svgAdditionalAttribute option that writes the
+     * start and end notes of anchored elements to the SVG (as data-startid, data-endid
+     * and data-plist attributes), e.g. ['slur@startid', 'slur@endid', 'slur@plist', ...],
+     * as well as measure numbers and meters to locate anchors (data-n, data-count, data-unit)
+     * @returns {Array[string]}
+     */
+    static get anchorAttributes() {
+        let attributes = ['measure@n', 'meterSig@count', 'meterSig@unit'];
+        ScoreWarper.#elementHandlers.forEach((entry, className) => {
+            if (entry.anchored) {
+                ['startid', 'endid', 'plist'].forEach((attr) => attributes.push(className + '@' + attr));
+            }
+        });
+        return attributes;
+    } // get anchorAttributes()
+
+    /**
+     * Translates an element by the delta of its start note (e.g., dynamics, fermatas, arpeggios).
+     * With perStaff, elements spanning staves (e.g., arpeggios over both hands) are translated
+     * by the smaller delta of their start and end notes, to stay left of the notes in both staves.
+     * @param {Element} element
+     * @param {ScoreWarper} sw
+     * @param {Function} warpingFunction
+     */
+    static warpAnchoredElement(element, sw, warpingFunction) {
+        let [startAnchor, endAnchor] = sw.getAnchorShifts(element, warpingFunction);
+        let xShift = startAnchor.xShift;
+        if (sw.perStaff) {
+            let { start, end } = sw.getAnchors(element);
+            if (start && end && sw.staffNumber(start) !== sw.staffNumber(end)) {
+                xShift = Math.min(startAnchor.xShift, endAnchor.xShift);
+            }
+        }
+        sw.translate(element, xShift);
+    } // warpAnchoredElement()
+
+    /**
+     * Warps slurs, ties and hairpins by rewriting the coordinates of their paths and polylines,
+     * so that their end points move with their start and end notes and control points in between
+     * are interpolated. Halves of spanners broken across systems keep the end at the system edge.
+     * Unlike a scale transformation, this leaves stroke widths untouched.
+     * @param {Element} element
+     * @param {ScoreWarper} sw
+     * @param {Function} warpingFunction
+     */
+    static warpAnchoredLine(element, sw, warpingFunction) {
+        let [startAnchor, endAnchor] = sw.getAnchorShifts(element, warpingFunction);
+        element.querySelectorAll('path, polyline, polygon').forEach((item) => {
+            if (ScoreWarper.#handledElement(item) !== element) {
+                return;
+            }
+            let points = (item.nodeName === 'path')
+                ? SvgGeometry.pathPoints(item.getAttribute('d') || '')
+                : SvgGeometry.parsePoints(item.getAttribute('points') || '');
+            let extent = SvgGeometry.pointsExtent(points);
+            if (!extent) {
+                return;
+            }
+            // end points land on the deltas of start and end notes
+            let mapX = (x) => {
+                if (extent.maxX === extent.minX) {
+                    return x + startAnchor.xShift;
+                }
+                let ratio = (x - extent.minX) / (extent.maxX - extent.minX);
+                return x + startAnchor.xShift + ratio * (endAnchor.xShift - startAnchor.xShift);
+            };
+            if (item.nodeName === 'path') {
+                sw.setWarpedAttribute(item, 'd', SvgGeometry.mapPathX(item.getAttribute('d'), mapX));
+            } else {
+                sw.setWarpedAttribute(item, 'points', SvgGeometry.serializePoints(points.map(([x, y]) => [mapX(x), y])));
+            }
+        });
+    } // warpAnchoredLine()
+
+    /**
+     * Shifts the polygons of a beam by the deltas of its first and last noteheads
+     * @param {Element} element
+     * @param {ScoreWarper} sw
+     * @param {Function} warpingFunction
+     */
+    static warpBeam(element, sw, warpingFunction) {
+        let polygons = element.querySelectorAll('polygon');
+        let stems = element.querySelectorAll('.stem');
+
+        // find first and last notehead/stem in beam for each polygon
+        polygons.forEach((polygon) => {
+            let leftStem, rightStem;
+            let boundingBox = sw.getBBox(polygon);
+            let leftNote, rightNote;
+
+            // look for all stems within the beam and find closest left and right stem
+            stems.forEach((stem) => {
+                let stemX = sw.getBBox(stem).x;
+                let threshold = 12; // SVG px
+                if (Math.abs(stemX - boundingBox.x) < threshold) leftStem = stem;
+                else if (Math.abs(stemX - boundingBox.x - boundingBox.width) < threshold) {
+                    rightStem = stem;
+                }
+            });
+
+            // if no left or right stem found, take first and last stem respectively
+            if (!leftStem) leftStem = stems.item(0);
+            if (!rightStem) rightStem = stems.item(stems.length - 1);
+            if (!leftStem || !rightStem) {
+                return;
+            }
+
+            // for leftStem and rightStem, find the note or chord they belong to
+            leftNote = leftStem.closest('.chord') || leftStem.closest('.note');
+            rightNote = rightStem.closest('.chord') || rightStem.closest('.note');
+
+            // shift polygon, x by stems, shift by notes
+            let x1 = sw.getBBox(leftStem).x;
+            let x2 = sw.getBBox(rightStem).x;
+            let xShift1 = warpingFunction(x1);
+            let xShift2 = warpingFunction(x2);
+            if (leftNote) {
+                xShift1 = sw.noteShift(leftNote, warpingFunction);
+            }
+            if (rightNote) {
+                xShift2 = sw.noteShift(rightNote, warpingFunction);
+            }
+            sw.shiftElement(polygon, x1, x2, xShift1, xShift2, false);
+        });
+    } // warpBeam()
+
+    /**
+     * Translates the ledger lines of notes by the delta of the notes they belong to
+     * (referenced through data-related)
+     * @param {Element} element
+     * @param {ScoreWarper} sw
+     * @param {Function} warpingFunction
+     */
+    static warpLedgerLines(element, sw, warpingFunction) {
+        element.querySelectorAll('.lineDash').forEach((lineDash) => {
+            let referencedNoteIds = lineDash.getAttribute('data-related')?.split(' ') || [];
+            let note = referencedNoteIds
+                .map((id) => sw.getElementForId(sw.rmHash(id)))
+                .find((note) => note && note.querySelector('.notehead'));
+            let xShift = note ? sw.noteShift(note, warpingFunction)
+                : warpingFunction(sw.getBBox(lineDash).x);
+            sw.translate(lineDash, xShift);
+        });
+    } // warpLedgerLines()
+
+    /**
+     * Translates a note, chord or rest by its delta (see noteShift());
+     * notes inside chords are translated with their chord.
+     * @param {Element} element
+     * @param {ScoreWarper} sw
+     * @param {Function} warpingFunction
+     */
+    static warpNote(element, sw, warpingFunction) {
+        if (element.classList.contains('note') && element.closest('.chord')) {
+            return;
+        }
+        sw.translate(element, sw.noteShift(element, warpingFunction));
+    } // warpNote()
+
+    /**
+     * Warps a spanning element (e.g., hairpins, pedal and octave lines, trill extenders) between
+     * its start and end notes: the deltas of both notes are interpolated linearly along the
+     * element, lines are stretched and symbols are translated without being scaled.
+     * Glyphs tiled along a line (the wavy line of trill extenders: several glyphs on the same y)
+     * are stretched as one run, so that they neither part nor overlap, and glyphs in a group
+     * of their own (e.g., the digits of tuplet numbers) are translated together.
+     * @param {Element} element
+     * @param {ScoreWarper} sw
+     * @param {Function} warpingFunction
+     */
+    static warpSpanner(element, sw, warpingFunction) {
+        let [startAnchor, endAnchor] = sw.getAnchorShifts(element, warpingFunction);
+        let shiftAt = (x) => {
+            if (endAnchor.x === startAnchor.x) {
+                return startAnchor.xShift;
+            }
+            let ratio = (x - startAnchor.x) / (endAnchor.x - startAnchor.x);
+            return startAnchor.xShift + ratio * (endAnchor.xShift - startAnchor.xShift);
+        };
+        let glyphRuns = new Map(); // y -> glyphs (use elements) of the element on that line
+        let glyphGroups = new Set(); // groups of glyphs inside the element
+        element.querySelectorAll('path, polyline, polygon, line, rect, use, text, ellipse, circle').forEach((item) => {
+            if (ScoreWarper.#handledElement(item) !== element || item.parentElement.closest('text')) {
+                return; // handled by another handler, or part of a text element
+            }
+            if (item.nodeName === 'use' && item.parentElement === element) {
+                let y = Math.round(sw.getBBox(item, true).y);
+                glyphRuns.set(y, [...(glyphRuns.get(y) ?? []), item]);
+            } else if (item.nodeName === 'use' && item.parentElement.children.length > 1) {
+                glyphGroups.add(item.parentElement);
+            } else if (['use', 'text', 'ellipse', 'circle'].includes(item.nodeName)) {
+                sw.translate(item, shiftAt(sw.getBBox(item, true).x));
+            } else {
+                let bbox = sw.getBBox(item);
+                let x1 = bbox.x;
+                let x2 = bbox.x + bbox.width;
+                sw.shiftElement(item, x1, x2, shiftAt(x1), shiftAt(x2));
+            }
+        });
+        glyphGroups.forEach((group) => sw.translate(group, shiftAt(sw.getBBox(group, true).x)));
+        glyphRuns.forEach((glyphs) => {
+            let boxes = glyphs.map((glyph) => sw.getBBox(glyph, true));
+            let x1 = Math.min(...boxes.map((bbox) => bbox.x));
+            let x2 = Math.max(...boxes.map((bbox) => bbox.x + bbox.width));
+            let [xShift1, xShift2] = [shiftAt(x1), shiftAt(x2)];
+            let xScale = (x2 + xShift2 - (x1 + xShift1)) / (x2 - x1);
+            glyphs.forEach((glyph, k) => {
+                if (glyphs.length === 1 || !(xScale > 0 && xScale < Infinity)) {
+                    sw.translate(glyph, shiftAt(boxes[k].x));
+                    return;
+                }
+                // one scale about the start of the run, folded into the translation
+                let transformList = SvgGeometry.parseTransform(glyph.getAttribute('transform'));
+                transformList.unshift({ type: 'translate', values: [xShift1 + x1 * (1 - xScale), 0] },
+                    { type: 'scale', values: [xScale, 1] });
+                sw.setWarpedAttribute(glyph, 'transform', SvgGeometry.serializeTransform(transformList));
+            });
+        });
+    } // warpSpanner()
+
+    /**
+     * Returns the element of the registered handler that is responsible for the given node,
+     * i.e. the closest element (including the node itself) with a registered class name
+     * @param {Element} node
+     * @returns {Element} or null
+     */
+    static #handledElement(node) {
+        let selector = ScoreWarper.elementHandlerClasses.map((className) => '.' + className).join(', ');
+        return selector ? node.closest(selector) : null;
+    } // handledElement()
+
+    // Verovio class name -> {handler, anchored}, in the order the handlers are called
+    static #elementHandlers = new Map();
+
+    static {
+        ScoreWarper.registerElementHandler('note', ScoreWarper.warpNote);
+        ScoreWarper.registerElementHandler('chord', ScoreWarper.warpNote);
+        ScoreWarper.registerElementHandler('rest', ScoreWarper.warpNote);
+        ScoreWarper.registerElementHandler('ledgerLines', ScoreWarper.warpLedgerLines);
+        ScoreWarper.registerElementHandler('beam', ScoreWarper.warpBeam);
+        ScoreWarper.registerElementHandler('arpeg', ScoreWarper.warpAnchoredElement, true);
+        ScoreWarper.registerElementHandler('dynam', ScoreWarper.warpAnchoredElement, true);
+        ScoreWarper.registerElementHandler('fermata', ScoreWarper.warpAnchoredElement, true);
+        ScoreWarper.registerElementHandler('hairpin', ScoreWarper.warpAnchoredLine, true);
+        ScoreWarper.registerElementHandler('slur', ScoreWarper.warpAnchoredLine, true);
+        ScoreWarper.registerElementHandler('tie', ScoreWarper.warpAnchoredLine, true);
+        ScoreWarper.registerElementHandler('tuplet', ScoreWarper.warpSpanner, true);
+        ScoreWarper.registerElementHandler('pedal', ScoreWarper.warpSpanner, true);
+        ScoreWarper.registerElementHandler('octave', ScoreWarper.warpSpanner, true);
+        ScoreWarper.registerElementHandler('trill', ScoreWarper.warpSpanner, true);
+    }
+
+    //#endregion Element Handlers
+
+
     //#region Shifting Methods
 
     /**
@@ -497,26 +2954,61 @@ class ScoreWarper {
      * @param {number} delta
      * @param {Boolean} clearTransforms
      */
-    #addTranslation(element, delta, clearTransforms = false) {
-        if (clearTransforms) element.transform.baseVal.clear();
-        let newTranslate = this._svgObj.createSVGTransform();
-        newTranslate.setTranslate(delta, 0);
-        element.transform.baseVal.insertItemBefore(newTranslate, 0);
+    addTranslation(element, delta, clearTransforms = false) {
+        let transformList = clearTransforms ? [] : SvgGeometry.parseTransform(element.getAttribute('transform'));
+        transformList.unshift({ type: 'translate', values: [delta, 0] });
+        this.setWarpedAttribute(element, 'transform', SvgGeometry.serializeTransform(transformList));
     } // addTranslation()
 
+    /**
+     * Restores the engraved attributes of all elements changed by warping
+     */
+    #restoreAttributes() {
+        this._originalAttributes.forEach((attributes, element) => {
+            attributes.forEach((value, name) => {
+                if (value === null) {
+                    element.removeAttribute(name);
+                } else {
+                    element.setAttribute(name, value);
+                }
+            });
+        });
+        this._originalAttributes = new Map();
+    } // restoreAttributes()
+
+    /**
+     * Sets an attribute changed by warping, recording its engraved value on first change,
+     * so that it can be restored (see setWarpAmount()). Element handlers use it for all writes.
+     * @param {Element} element
+     * @param {string} name attribute name
+     * @param {string} value
+     */
+    setWarpedAttribute(element, name, value) {
+        let attributes = this._originalAttributes.get(element);
+        if (!attributes) {
+            attributes = new Map();
+            this._originalAttributes.set(element, attributes);
+        }
+        if (!attributes.has(name)) {
+            attributes.set(name, element.getAttribute(name));
+        }
+        element.setAttribute(name, value);
+    } // setWarpedAttribute()
+
     /**
      * Shifts element across the x-axis by adding a translation and a scale transformation to it.
+     * The scale origin x1 is folded into the translation, so that no transform-origin is needed.
      * @param {Element} element
      * @param {number} x1 first x coordinate
      * @param {number} x2 last x coordinate
      * @param {number} xShift1 x shift for x1
      * @param {number} xShift2 x shift for x2
      */
-    #shiftElement(element, x1, x2, xShift1, xShift2, verbose = false) {
+    shiftElement(element, x1, x2, xShift1, xShift2, verbose = false) {
         let xScale = (x2 + xShift2 - (x1 + xShift1)) / (x2 - x1);
         if (verbose) {
             console.log(
-                '#shiftElement x1/x2: ' +
+                'shiftElement x1/x2: ' +
                 x1 +
                 '/' +
                 x2 +
@@ -530,206 +3022,96 @@ class ScoreWarper {
         }
 
         // add a transformation, if none exists
-        let transformList = element.transform.baseVal; // SVGTransformList
-        if (transformList.length === 0) {
-            if (xShift1 && xShift1 < Infinity) {
-                const translate = this._svgObj.createSVGTransform();
-                translate.setTranslate(xShift1, 0);
-                transformList.appendItem(translate);
-            }
-            element.setAttribute('transform-origin', x1);
+        if (!element.hasAttribute('transform')) {
+            let transformList = [];
+            let translate = xShift1 && xShift1 < Infinity ? xShift1 : 0;
             if (xScale && xScale < Infinity && xScale > 0) {
-                const scale = this._svgObj.createSVGTransform();
-                scale.setScale(xScale, 1);
-                transformList.appendItem(scale);
+                translate += x1 * (1 - xScale);
+                transformList.push({ type: 'scale', values: [xScale, 1] });
+            }
+            if (translate) {
+                transformList.unshift({ type: 'translate', values: [translate, 0] });
+            }
+            if (transformList.length > 0) {
+                this.setWarpedAttribute(element, 'transform', SvgGeometry.serializeTransform(transformList));
             }
         }
     } // shiftElement()
 
+    /**
+     * Warps all elements with a registered handler (see registerElementHandler()),
+     * using the warping function of the system (or staff) they are engraved in
+     */
+    #warpHandledElements() {
+        ScoreWarper.#elementHandlers.forEach((entry, className) => {
+            let list = this._svgObj.querySelectorAll('.' + className);
+            console.debug('Warping ' + list.length + ' ' + className + ' elements.');
+            list.forEach((item) => {
+                let warpingFunction = this.getWarpingFunctionForElement(item);
+                if (warpingFunction) {
+                    entry.handler(item, this, warpingFunction);
+                }
+            });
+        });
+    } // warpHandledElements()
+
     /**
      * Shifts elements in selector list horizontally by modifying all x coordinates using
-     * the warpingFunction delta
+     * the warpingFunction delta of the system (or staff) they are engraved in. Elements inside
+     * elements with a registered handler are left to that handler.
      * @param {Array[String]} selectorList
-     * @param {Array} warpingFunction
      */
-    #shiftElements(selectorList, warpingFunction) {
+    #shiftElements(selectorList) {
         for (let selector of selectorList) {
             let list = this._svgObj.querySelectorAll(selector);
             console.debug('Shshshshshshshifting ' + list.length + ' ' + selector + ' elements.');
 
             list.forEach((item) => {
-                // g.arpeg
-                if (item.nodeName == 'g' && item.classList.contains('arpeg')) {
-                    let x = item.getBBox().x;
-                    let xShift = warpingFunction[Math.round(x)];
-                    console.debug('shiftElements ARPEG: ', item);
-                    this.#addTranslation(item, xShift);
-                }
-                // g.beam
-                else if (item.nodeName == 'g' && item.classList.contains('beam')) {
-                    let polygons = item.querySelectorAll('polygon');
-                    let stems = item.querySelectorAll('.stem');
-
-                    // find first and last notehead/stem in beam for each polygon
-                    polygons.forEach((polygon) => {
-                        let leftStem, rightStem;
-                        let boundingBox = polygon.getBBox();
-                        let leftNote, rightNote;
-
-                        // console.debug('SSSSSSSSS Beam part ', polygon);
-                        // console.debug('SSSSSSSSS Stems within beam ', stems);
-                        // console.debug('SSSSSSSSS Noteheads within beam ', noteheads);
-
-                        // look for all stems within the beam and find closest left and right stem
-                        stems.forEach((stem) => {
-                            let stemX = stem.getBBox().x;
-                            let threshold = 12; // SVG px
-                            if (Math.abs(stemX - boundingBox.x) < threshold) leftStem = stem;
-                            else if (Math.abs(stemX - boundingBox.x - boundingBox.width) < threshold) {
-                                rightStem = stem;
-                            }
-                        });
-
-                        // if no left or right stem found, take first and last stem respectively
-                        if (!leftStem) leftStem = stems.item(0);
-                        if (!rightStem) rightStem = stems.item(stems.length - 1);
-
-                        // for leftStem and rightStem, find a notehead; if in a chord, find closest notehead
-                        let leftParent = leftStem.closest('.chord');
-                        if (!leftParent) {
-                            leftParent = leftStem.closest('.note');
-                        }
-                        leftNote = leftParent.querySelector('.notehead');
-                        let rightParent = rightStem.closest('.chord');
-                        if (!rightParent) {
-                            rightParent = rightStem.closest('.note');
-                        }
-                        rightNote = rightParent.querySelector('.notehead');
-
-                        // console.debug('BEAM ShiftPolygon left/right stem: ', leftStem, rightStem);
-                        // console.debug('BEAM ShiftPolygon left/right notehead: ', leftNote, rightNote);
-
-                        // shift polygon, x by stems, shift by noteheads
-                        if (leftStem && rightStem) {
-                            let x1 = leftStem.getBBox().x;
-                            let x2 = rightStem.getBBox().x;
-                            let xShift1 = warpingFunction[Math.round(x1)];
-                            let xShift2 = warpingFunction[Math.round(x2)];
-                            if (leftNote) {
-                                xShift1 = warpingFunction[Math.round(leftNote.getBBox().x)];
-                            }
-                            if (rightNote) {
-                                xShift2 = warpingFunction[Math.round(rightNote.getBBox().x)];
-                            }
-
-                            // console.debug('BEAM ShiftPolygon x1/x2: ' + x1 + '/' + x2 +
-                            //     ', xShift1/xShift2: ' + xShift1 + '/' + xShift2);
-                            this.#shiftElement(polygon, x1, x2, xShift1, xShift2, false);
-                        }
-                    });
-                }
-                // g.note (g.chord) / g.rest
-                else if (item.nodeName == 'g' && (item.classList.contains('note') || item.classList.contains('rest'))) {
-                    // determine x value of notehead
-                    let x = item.getBBox().x;
-                    if (item.classList.contains('note')) {
-                        // for notes, use notehead x value (to avoid incorrect shifting with accidentals)
-                        x = item.querySelector('.notehead use').getBBox().x;
-                    }
-                    let xShift = warpingFunction[Math.round(x)];
-
-                    let chord = item.closest('.chord');
-                    if (chord) {
-                        let noteheads = Array.from(chord.querySelectorAll('.notehead'));
-                        let chordXs = [];
-                        noteheads.map((notehead) => chordXs.push(notehead.getBBox().x));
-                        x = this.median(chordXs);
-                        xShift = warpingFunction[Math.round(x)];
-                        if (chord.transform.baseVal.length === 0) {
-                            this.#translate(chord, xShift);
-                        }
-                    } else {
-                        this.#translate(item, xShift); // translate note in combination w\ existing translate
-                    }
-                }
-
-                // hairpin
-                else if (item.nodeName == 'g' && item.classList.contains('hairpin')) {
-                    let bbox = item.getBBox();
-                    let x1 = bbox.x;
-                    let x2 = bbox.x + bbox.width;
-                    let xShift1 = warpingFunction[Math.round(x1)];
-                    let xShift2 = warpingFunction[Math.round(x2)];
-                    this.#shiftElement(item, x1, x2, xShift1, xShift2);
+                // use the warping function of the system (or staff) the element is engraved in
+                let warpingFunction = this.getWarpingFunctionForElement(item);
+                if (!warpingFunction || ScoreWarper.#handledElement(item)) {
+                    return; // system without performed notes, or element warped by a handler
                 }
 
-                // shift ledger lines
-                else if (
-                    item.classList.contains('lineDash') && // is a lineDash class
-                    item.closest('.ledgerLines') // within a ledgerLines group
-                ) {
-                    // find notes referenced in ledger line element, determine their shift, and apply it to ledger line
-                    let referencedNoteIds = item.getAttribute('data-related')?.split(' ');
-                    referencedNoteIds.forEach((id) => {
-                        let note = this.getElementForId(this.rmHash(id));
-                        if (note && !item.hasAttribute('transform')) {
-                            let notehead = note.querySelector('.notehead');
-                            if (notehead) {
-                                let x = notehead.getBBox().x;
-                                let xShift = warpingFunction[Math.round(x)];
-                                this.#translate(item, xShift);
-                            }
-                        }
-                    });
-                }
+                // barline, staff lines
+                if (item.nodeName == 'path') {
+                    let bbox = this.getBBox(item);
+                    // retrieve parent element's class
+                    let parentClass = item.parentElement.getAttribute('class');
 
-                // slur, barline, staff lines
-                else if (item.nodeName == 'path') {
-                    if (!item.closest('.note, .chord, .ledgerLines')) {
-                        let bbox = item.getBBox();
-                        // retrieve parent element's class
-                        let parentClass = item.parentElement.className.baseVal;
+                    let staff = item.closest('.staff');
+                    if (parentClass && !staff) {
+                        let x1 = bbox.x;
+                        let x2 = bbox.x + bbox.width;
 
-                        let staff = item.closest('.staff');
-                        if (parentClass && !staff) {
-                            // console.log('Shift ', parentClass, ': Path BBox(): ', bbox);
-                            let x1 = bbox.x;
-                            let x2 = bbox.x + bbox.width;
+                        // compute transform values
+                        let xShift1 = warpingFunction(x1); // delta pixels to shift element
+                        let xShift2 = warpingFunction(x2);
 
-                            // compute transform values
-                            let xShift1 = warpingFunction[Math.round(x1)]; // delta pixels to shift element
-                            let xShift2 = warpingFunction[Math.round(x2)];
-
-                            this.#shiftElement(item, x1, x2, xShift1, xShift2);
-                        }
+                        this.shiftElement(item, x1, x2, xShift1, xShift2);
                     }
                 } else if (item.nodeName == 'line') {
                     let x1 = parseFloat(item.getAttribute('x1'));
                     let x2 = parseFloat(item.getAttribute('x2'));
-                    let xShift1 = warpingFunction[Math.round(x1)];
-                    let xShift2 = warpingFunction[Math.round(x2)];
-                    this.#shiftElement(item, x1, x2, xShift1, xShift2);
+                    let xShift1 = warpingFunction(x1);
+                    let xShift2 = warpingFunction(x2);
+                    this.shiftElement(item, x1, x2, xShift1, xShift2);
                 }
 
                 // rect, use, text, ellipse, circle
                 else {
-                    // if not within these elements, shift element
-                    if (
-                        !item.closest('.chord') &&
-                        !item.closest('.note') &&
-                        !item.closest('.arpeg') &&
-                        !item.closest('.rest') &&
-                        !item.closest('.hairpin')
-                    ) {
-                        console.debug('Shift ', item, 'inside ', item.parentElement);
-                        let attribute = 'x';
-                        if (item.nodeName == 'ellipse' || item.nodeName == 'circle') {
-                            attribute = 'cx';
-                        }
-                        let x = parseFloat(item.getAttribute(attribute));
-                        let xShift = warpingFunction[Math.round(x)];
-                        this.#translate(item, xShift);
+                    console.debug('Shift ', item, 'inside ', item.parentElement);
+                    let attribute = 'x';
+                    if (item.nodeName == 'ellipse' || item.nodeName == 'circle') {
+                        attribute = 'cx';
+                    }
+                    let x = parseFloat(item.getAttribute(attribute));
+                    if (isNaN(x)) {
+                        // no x attribute (e.g., use elements positioned by a transform)
+                        x = this.getBBox(item, true).x;
                     }
+                    let xShift = warpingFunction(x);
+                    this.translate(item, xShift);
                 }
             });
         }
@@ -739,33 +3121,35 @@ class ScoreWarper {
      * Translates item object, checking if a translate is already there.
      * @param {Element} item
      * @param {number} delta
-     * @param {Boolean} useExisting
-     */
-    #translate(item, delta) {
-        let existingX = 0;
-        let transformList = item.transform.baseVal; // SVGTransformList
-
-        if (transformList && transformList.length > 0) {
-            // if transform exists
-            // console.debug('SVGTransformList EXISTING: ', transformList);
-            let index = -1;
-            for (let currTrans of transformList) {
-                index++;
-                // trList.forEach((currTrans, i) => {
-                if (currTrans.type === SVGTransform.SVG_TRANSFORM_TRANSLATE) {
-                    // console.debug('TRANSLATION FOUND: ', item);
-                    existingX = currTrans.matrix.e;
-                    break;
-                }
-            }
-            transformList.getItem(index).setTranslate(existingX + delta, 0);
+     */
+    translate(item, delta) {
+        let transformList = SvgGeometry.parseTransform(item.getAttribute('transform'));
+        if (transformList.length > 0 && transformList[0].type === 'translate') {
+            // if a translation exists, add delta to it
+            let values = transformList[0].values;
+            transformList[0].values = [(values[0] || 0) + delta, values[1] || 0];
         } else {
-            // create new transform
-            // console.debug('SVGTransformList EMPTY: ', transformList);
-            let translate = this._svgObj.createSVGTransform();
-            translate.setTranslate(existingX + delta, 0);
-            transformList.appendItem(translate);
+            // create new translation in front of other transformations
+            transformList.unshift({ type: 'translate', values: [delta, 0] });
         }
+        this.setWarpedAttribute(item, 'transform', SvgGeometry.serializeTransform(transformList));
     } // translate()
 
+    /**
+     * Returns the x value of the leading translation of an element, or 0.
+     * @param {Element} item
+     * @returns {number}
+     */
+    translateX(item) {
+        let transformList = SvgGeometry.parseTransform(item.getAttribute('transform'));
+        if (transformList.length > 0 && transformList[0].type === 'translate') {
+            return transformList[0].values[0] || 0;
+        }
+        return 0;
+    } // translateX()
+
 } // ScoreWarper class
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScoreWarper;
+}
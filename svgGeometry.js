@@ -0,0 +1,489 @@
+/**
+ * @file svgGeometry.js
+ * @description
+ * Computes bounding boxes of Verovio SVG elements from their attributes only
+ * (use x/y and transforms, glyph definitions, path d, polygon/polyline points, ...),
+ * so that ScoreWarper can be run without a browser layout engine, e.g. in Node.js.
+ * Also contains the helpers to read and write SVG transform attributes as plain strings.
+ */
+class SvgGeometry {
+    /**
+     * @param {Element} svgObject the SVG element that holds the glyph definitions
+     */
+    constructor(svgObject) {
+        this._svgObj = svgObject;
+        this._glyphCache = new Map(); // extent of glyph definitions, by id
+    } // constructor()
+
+    //#region Bounding Boxes
+
+    /**
+     * Returns the bounding box of an element in its own user space,
+     * i.e. children transforms are applied, the element's own transform is not
+     * (same behaviour as SVGGraphicsElement.getBBox() in browsers).
+     * @param {Element} element
+     * @returns {Object} {x, y, width, height}
+     */
+    getBBox(element) {
+        let ext = this.#extent(element);
+        if (!ext) {
+            return { x: 0, y: 0, width: 0, height: 0 };
+        }
+        return { x: ext.minX, y: ext.minY, width: ext.maxX - ext.minX, height: ext.maxY - ext.minY };
+    } // getBBox()
+
+    /**
+     * Computes the extent of an element in its own user space
+     * @param {Element} element
+     * @returns {Object} {minX, minY, maxX, maxY} or null, if element has no geometry
+     */
+    #extent(element) {
+        let nodeName = element.nodeName.toLowerCase();
+        let num = (attribute) => parseFloat(element.getAttribute(attribute)) || 0;
+        switch (nodeName) {
+            case 'path':
+                return SvgGeometry.pointsExtent(SvgGeometry.pathPoints(element.getAttribute('d') || ''));
+            case 'polygon':
+            case 'polyline':
+                return SvgGeometry.pointsExtent(SvgGeometry.parsePoints(element.getAttribute('points') || ''));
+            case 'line':
+                return SvgGeometry.pointsExtent([
+                    [num('x1'), num('y1')],
+                    [num('x2'), num('y2')]
+                ]);
+            case 'rect':
+                return { minX: num('x'), minY: num('y'), maxX: num('x') + num('width'), maxY: num('y') + num('height') };
+            case 'circle':
+                return { minX: num('cx') - num('r'), minY: num('cy') - num('r'), maxX: num('cx') + num('r'), maxY: num('cy') + num('r') };
+            case 'ellipse':
+                return { minX: num('cx') - num('rx'), minY: num('cy') - num('ry'), maxX: num('cx') + num('rx'), maxY: num('cy') + num('ry') };
+            case 'use':
+                return this.#useExtent(element);
+            case 'text':
+            case 'tspan':
+                return this.#textExtent(element);
+            case 'defs':
+            case 'style':
+            case 'desc':
+            case 'title':
+            case 'symbol':
+                return null;
+            default: // g, svg, a, ...
+                return this.#childrenExtent(element);
+        }
+    } // #extent()
+
+    /**
+     * Union of the extents of all child elements, with their transforms applied
+     * @param {Element} element
+     * @returns {Object} extent or null
+     */
+    #childrenExtent(element) {
+        let ext = null;
+        for (let child of Array.from(element.children || [])) {
+            let childExt = this.#extent(child);
+            if (childExt) {
+                childExt = SvgGeometry.transformExtent(childExt, child.getAttribute('transform'));
+                ext = SvgGeometry.unionExtent(ext, childExt);
+            }
+        }
+        return ext;
+    } // #childrenExtent()
+
+    /**
+     * Extent of a use element: referenced glyph, scaled to width/height (for symbols
+     * with viewBox, as in older Verovio versions) and shifted by x/y
+     * @param {Element} element
+     * @returns {Object} extent or null
+     */
+    #useExtent(element) {
+        let href = element.getAttribute('xlink:href') || element.getAttribute('href') || '';
+        let glyph = this.#glyphExtent(href.replace(/^#/, ''));
+        if (!glyph) {
+            return null;
+        }
+        let ext = glyph.ext;
+        if (glyph.viewBox) {
+            let width = parseFloat(element.getAttribute('width')) || glyph.viewBox[2];
+            let height = parseFloat(element.getAttribute('height')) || glyph.viewBox[3];
+            ext = SvgGeometry.transformExtent(ext,
+                `scale(${width / glyph.viewBox[2]}, ${height / glyph.viewBox[3]}) ` +
+                `translate(${-glyph.viewBox[0]}, ${-glyph.viewBox[1]})`);
+        }
+        let x = parseFloat(element.getAttribute('x')) || 0;
+        let y = parseFloat(element.getAttribute('y')) || 0;
+        return { minX: ext.minX + x, minY: ext.minY + y, maxX: ext.maxX + x, maxY: ext.maxY + y };
+    } // #useExtent()
+
+    /**
+     * Looks up (and caches) the extent of a glyph definition in the SVG defs
+     * @param {string} id
+     * @returns {Object} {ext, viewBox} or null
+     */
+    #glyphExtent(id) {
+        if (!id) {
+            return null;
+        }
+        if (!this._glyphCache.has(id)) {
+            let glyph = null;
+            let definition = Array.from(this._svgObj.querySelectorAll('defs > *'))
+                .find((item) => item.getAttribute('id') === id);
+            if (definition) {
+                let ext = this.#childrenExtent(definition);
+                let viewBox = definition.getAttribute('viewBox')?.trim().split(/[\s,]+/).map(Number);
+                if (ext) {
+                    glyph = { ext: ext, viewBox: viewBox };
+                }
+            }
+            this._glyphCache.set(id, glyph);
+        }
+        return this._glyphCache.get(id);
+    } // #glyphExtent()
+
+    /**
+     * Rough estimate of the extent of a text element, based on x/y, font size and
+     * number of characters (there are no font metrics without a layout engine)
+     * @param {Element} element
+     * @returns {Object} extent or null
+     */
+    #textExtent(element) {
+        let text = (element.textContent || '').trim();
+        if (!element.hasAttribute('x') && !element.hasAttribute('y')) {
+            return this.#childrenExtent(element);
+        }
+        let x = parseFloat(element.getAttribute('x')) || 0;
+        let y = parseFloat(element.getAttribute('y')) || 0;
+        let fontSize = 0;
+        for (let item of [element, ...Array.from(element.querySelectorAll('*'))]) {
+            fontSize = parseFloat(item.getAttribute('font-size')) || 0;
+            if (fontSize > 0) break;
+        }
+        let width = text.length * fontSize * 0.5;
+        let anchor = element.getAttribute('text-anchor');
+        if (anchor === 'middle') {
+            x -= width / 2;
+        } else if (anchor === 'end') {
+            x -= width;
+        }
+        return { minX: x, minY: y - fontSize * 0.75, maxX: x + width, maxY: y + fontSize * 0.25 };
+    } // #textExtent()
+
+    //#endregion Bounding Boxes
+
+
+
+    //#region Static Helpers
+
+    /**
+     * Returns all end and control points of an SVG path description in absolute coordinates
+     * (the extent of the control points contains the curve)
+     * @param {string} d path description
+     * @returns {Array} of [x, y] points
+     */
+    static pathPoints(d) {
+        let tokens = d.match(/[a-df-z]|[-+]?(?:\d*\.\d+|\d+\.?)(?:e[-+]?\d+)?/gi) || [];
+        let points = [];
+        let [x, y, startX, startY] = [0, 0, 0, 0];
+        let command = '';
+        let i = 0;
+        let next = () => parseFloat(tokens[i++]);
+        while (i < tokens.length) {
+            if (/[a-z]/i.test(tokens[i])) {
+                command = tokens[i++];
+            }
+            let relative = command === command.toLowerCase();
+            let [dx, dy] = relative ? [x, y] : [0, 0];
+            switch (command.toUpperCase()) {
+                case 'M':
+                case 'L':
+                case 'T':
+                    x = next() + dx;
+                    y = next() + dy;
+                    points.push([x, y]);
+                    if (command.toUpperCase() === 'M') {
+                        [startX, startY] = [x, y];
+                        command = relative ? 'l' : 'L'; // subsequent pairs are lineto
+                    }
+                    break;
+                case 'H':
+                    x = next() + dx;
+                    points.push([x, y]);
+                    break;
+                case 'V':
+                    y = next() + dy;
+                    points.push([x, y]);
+                    break;
+                case 'C':
+                    points.push([next() + dx, next() + dy]);
+                    points.push([next() + dx, next() + dy]);
+                    x = next() + dx;
+                    y = next() + dy;
+                    points.push([x, y]);
+                    break;
+                case 'S':
+                case 'Q':
+                    points.push([next() + dx, next() + dy]);
+                    x = next() + dx;
+                    y = next() + dy;
+                    points.push([x, y]);
+                    break;
+                case 'A':
+                    i += 5; // radii, rotation and flags
+                    x = next() + dx;
+                    y = next() + dy;
+                    points.push([x, y]);
+                    break;
+                case 'Z':
+                    [x, y] = [startX, startY];
+                    break;
+                default:
+                    i++; // skip unknown token
+            }
+        }
+        return points;
+    } // pathPoints()
+
+    /**
+     * Rewrites an SVG path description in absolute coordinates, mapping all x coordinates
+     * of end and control points through a function (arc radii are kept)
+     * @param {string} d path description
+     * @param {Function} mapX x => new x
+     * @returns {string} path description
+     */
+    static mapPathX(d, mapX) {
+        let tokens = d.match(/[a-df-z]|[-+]?(?:\d*\.\d+|\d+\.?)(?:e[-+]?\d+)?/gi) || [];
+        let segments = [];
+        let [x, y, startX, startY] = [0, 0, 0, 0];
+        let command = '';
+        let i = 0;
+        let next = () => parseFloat(tokens[i++]);
+        let point = (px, py) => SvgGeometry.round(mapX(px)) + ',' + SvgGeometry.round(py);
+        while (i < tokens.length) {
+            if (/[a-z]/i.test(tokens[i])) {
+                command = tokens[i++];
+            }
+            let relative = command === command.toLowerCase();
+            let [dx, dy] = relative ? [x, y] : [0, 0];
+            let type = command.toUpperCase();
+            let points = [];
+            switch (type) {
+                case 'M':
+                case 'L':
+                case 'T':
+                    x = next() + dx;
+                    y = next() + dy;
+                    points.push(point(x, y));
+                    if (type === 'M') {
+                        [startX, startY] = [x, y];
+                        command = relative ? 'l' : 'L'; // subsequent pairs are lineto
+                    }
+                    break;
+                case 'H':
+                    x = next() + dx;
+                    points.push(SvgGeometry.round(mapX(x)));
+                    break;
+                case 'V':
+                    y = next() + dy;
+                    points.push(SvgGeometry.round(y));
+                    break;
+                case 'C':
+                case 'S':
+                case 'Q':
+                    for (let k = (type === 'C') ? 2 : 1; k > 0; k--) {
+                        points.push(point(next() + dx, next() + dy));
+                    }
+                    x = next() + dx;
+                    y = next() + dy;
+                    points.push(point(x, y));
+                    break;
+                case 'A':
+                    points.push(tokens.slice(i, i + 5).join(' ')); // radii, rotation and flags
+                    i += 5;
+                    x = next() + dx;
+                    y = next() + dy;
+                    points.push(point(x, y));
+                    break;
+                case 'Z':
+                    [x, y] = [startX, startY];
+                    break;
+                default:
+                    i++; // skip unknown token
+                    continue;
+            }
+            segments.push(type + points.join(' '));
+        }
+        return segments.join(' ');
+    } // mapPathX()
+
+    /**
+     * Parses a points attribute of polygon or polyline elements
+     * @param {string} points
+     * @returns {Array} of [x, y] points
+     */
+    static parsePoints(points) {
+        let values = points.trim().split(/[\s,]+/).filter((v) => v !== '').map(Number);
+        let list = [];
+        for (let i = 0; i + 1 < values.length; i += 2) {
+            list.push([values[i], values[i + 1]]);
+        }
+        return list;
+    } // parsePoints()
+
+    /**
+     * Serializes a list of points to a points attribute of polygon or polyline elements
+     * @param {Array} points of [x, y]
+     * @returns {string}
+     */
+    static serializePoints(points) {
+        return points.map((p) => SvgGeometry.round(p[0]) + ',' + SvgGeometry.round(p[1])).join(' ');
+    } // serializePoints()
+
+    /**
+     * Computes the extent of a list of points
+     * @param {Array} points of [x, y]
+     * @returns {Object} extent or null for an empty list
+     */
+    static pointsExtent(points) {
+        if (points.length === 0) {
+            return null;
+        }
+        let xs = points.map((p) => p[0]);
+        let ys = points.map((p) => p[1]);
+        return { minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) };
+    } // pointsExtent()
+
+    /**
+     * Union of two extents (each one may be null)
+     * @param {Object} a
+     * @param {Object} b
+     * @returns {Object} extent
+     */
+    static unionExtent(a, b) {
+        if (!a) return b;
+        if (!b) return a;
+        return {
+            minX: Math.min(a.minX, b.minX),
+            minY: Math.min(a.minY, b.minY),
+            maxX: Math.max(a.maxX, b.maxX),
+            maxY: Math.max(a.maxY, b.maxY)
+        };
+    } // unionExtent()
+
+    /**
+     * Applies a transform attribute string to an extent
+     * @param {Object} ext
+     * @param {string} transform
+     * @returns {Object} transformed extent
+     */
+    static transformExtent(ext, transform) {
+        if (!transform) {
+            return ext;
+        }
+        let m = SvgGeometry.transformMatrix(transform);
+        return SvgGeometry.pointsExtent([
+            [ext.minX, ext.minY],
+            [ext.maxX, ext.minY],
+            [ext.minX, ext.maxY],
+            [ext.maxX, ext.maxY]
+        ].map(([x, y]) => [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]]));
+    } // transformExtent()
+
+    /**
+     * Applies a transform attribute string to a bounding box
+     * @param {Object} bbox {x, y, width, height}
+     * @param {string} transform
+     * @returns {Object} transformed bounding box
+     */
+    static transformBBox(bbox, transform) {
+        let ext = SvgGeometry.transformExtent(
+            { minX: bbox.x, minY: bbox.y, maxX: bbox.x + bbox.width, maxY: bbox.y + bbox.height }, transform);
+        return { x: ext.minX, y: ext.minY, width: ext.maxX - ext.minX, height: ext.maxY - ext.minY };
+    } // transformBBox()
+
+    /**
+     * Parses a transform attribute string into a list of transformations
+     * @param {string} transform e.g. 'translate(10, 0) scale(0.72, 0.72)'
+     * @returns {Array} of {type, values}
+     */
+    static parseTransform(transform) {
+        let list = [];
+        let regex = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+        let match;
+        while ((match = regex.exec(transform || '')) !== null) {
+            let values = match[2].trim().split(/[\s,]+/).filter((v) => v !== '').map(Number);
+            list.push({ type: match[1], values: values });
+        }
+        return list;
+    } // parseTransform()
+
+    /**
+     * Writes a list of transformations into a transform attribute string
+     * @param {Array} list of {type, values}
+     * @returns {string}
+     */
+    static serializeTransform(list) {
+        return list.map((item) => `${item.type}(${item.values.map((v) => SvgGeometry.round(v)).join(', ')})`).join(' ');
+    } // serializeTransform()
+
+    /**
+     * Computes the matrix [a, b, c, d, e, f] of a transform attribute string
+     * @param {string} transform
+     * @returns {Array} matrix
+     */
+    static transformMatrix(transform) {
+        let m = [1, 0, 0, 1, 0, 0];
+        for (let item of SvgGeometry.parseTransform(transform)) {
+            let v = item.values;
+            let n;
+            switch (item.type) {
+                case 'matrix':
+                    n = v;
+                    break;
+                case 'translate':
+                    n = [1, 0, 0, 1, v[0] || 0, v[1] || 0];
+                    break;
+                case 'scale':
+                    n = [v[0], 0, 0, v.length > 1 ? v[1] : v[0], 0, 0];
+                    break;
+                case 'rotate': {
+                    let a = (v[0] || 0) * Math.PI / 180;
+                    let [cx, cy] = [v[1] || 0, v[2] || 0];
+                    let [cos, sin] = [Math.cos(a), Math.sin(a)];
+                    n = [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy];
+                    break;
+                }
+                case 'skewX':
+                    n = [1, 0, Math.tan(v[0] * Math.PI / 180), 1, 0, 0];
+                    break;
+                case 'skewY':
+                    n = [1, Math.tan(v[0] * Math.PI / 180), 0, 1, 0, 0];
+                    break;
+            }
+            m = [
+                m[0] * n[0] + m[2] * n[1],
+                m[1] * n[0] + m[3] * n[1],
+                m[0] * n[2] + m[2] * n[3],
+                m[1] * n[2] + m[3] * n[3],
+                m[0] * n[4] + m[2] * n[5] + m[4],
+                m[1] * n[4] + m[3] * n[5] + m[5]
+            ];
+        }
+        return m;
+    } // transformMatrix()
+
+    /**
+     * Rounds a coordinate to three decimals to keep SVG output compact
+     * @param {number} value
+     * @returns {number}
+     */
+    static round(value) {
+        return Math.round(value * 1000) / 1000;
+    } // round()
+
+    //#endregion Static Helpers
+
+} // SvgGeometry class
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SvgGeometry;
+}